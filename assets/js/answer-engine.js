@@ -0,0 +1,222 @@
+// ============================================
+// OFFLINE ANSWER ENGINE
+// ============================================
+// Ranks short passages against a question with BM25 and returns the best ones
+// with their sources. Runs entirely in the browser (and under Node for tests);
+// nothing is sent anywhere.
+//
+//   const engine = createAnswerEngine(passages);
+//   engine.answer("what did he build with flask?")
+//   // → { confident: true, passages: [{ text, source, score, confidence }, …] }
+//
+// A passage is { id, title, text, keywords?, source: { label, href? } }.
+// Titles and keywords count double, so "Education" outranks a passage that
+// merely mentions college once.
+//
+// Confidence is the share of the question's (IDF-weighted) terms a passage
+// contains. Words the index has never seen count as missing at half the
+// weight of the rarest known word: "which certificates has he earned?" still
+// finds the certifications, while "does he like pizza?" finds nothing.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_BOOST = 2;
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.35;
+export const DEFAULT_MAX_PASSAGES = 3;
+// A secondary passage must score at least this share of the best one
+const RELATIVE_SCORE_CUTOFF = 0.5;
+// Weight of a question word the index has never seen, relative to the rarest known word
+const UNSEEN_TERM_WEIGHT = 0.5;
+
+const STOPWORDS = new Set(
+  (
+    "a about above actually after again all also am an and any anything are as at be because been before being below " +
+    "between both but by can could did do does doing down during each few for from further had has have having he her " +
+    "here hers him his how i if in into is it its itself just kind know let like lot me more most my no nor not now of " +
+    "off on once only or other our out over own please really right same she should so some something such tell than " +
+    "that the their them then there these they thing things this those through to today too under until up very want " +
+    "was we were what when which while whom why will with would you your yours"
+  ).split(" "),
+);
+
+// ---------- Porter stemmer ----------
+// M. F. Porter, "An algorithm for suffix stripping" (1980), after the
+// reference JavaScript implementation.
+
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al", entli: "ent",
+  eli: "e", ousli: "ous", ization: "ize", ation: "ate", ator: "ate", alism: "al", iveness: "ive", fulness: "ful",
+  ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log",
+};
+const STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+
+const CONSONANT = "[^aeiou]";
+const VOWEL = "[aeiouy]";
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem ("projects" → "project", "building" → "build")
+ * @param {String} word - Lower-case word
+ * @returns {String}
+ */
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const startsWithY = w[0] === "y";
+  if (startsWithY) w = `Y${w.slice(1)}`;
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, "$1$2");
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, "$1$2");
+
+  // Step 1b: -eed, -ed, -ing
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += "e";
+  }
+
+  // Step 1c: y → i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Steps 2 and 3: double and single suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2[match[2]];
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3[match[2]];
+
+  // Step 4: -ant, -ence, -ion, …
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Split text into stemmed search terms, without stopwords
+ * @param {String} text
+ * @returns {String[]}
+ */
+export function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu);
+  if (!words) return [];
+  return words
+    .map((w) => w.replace(/'s$/, ""))
+    .filter((w) => !STOPWORDS.has(w) && (w.length > 1 || /\d/.test(w)))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index over passages
+ * @param {Object[]} passages - { id, title, text, keywords?, source }
+ * @returns {{passages: Object[], search: Function, answer: Function}}
+ */
+export function createAnswerEngine(passages) {
+  const docs = passages.map((passage) => {
+    const boosted = tokenize([passage.title, ...(passage.keywords || [])].join(" "));
+    const terms = [...tokenize(passage.text)];
+    for (let i = 0; i < FIELD_BOOST; i++) terms.push(...boosted);
+    const freq = new Map();
+    terms.forEach((t) => freq.set(t, (freq.get(t) || 0) + 1));
+    return { passage, freq, length: terms.length };
+  });
+
+  const docFreq = new Map();
+  docs.forEach((d) => d.freq.forEach((_, t) => docFreq.set(t, (docFreq.get(t) || 0) + 1)));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+
+  // BM25 IDF, floored so terms found in most passages still count a little
+  const idf = (term) => {
+    const n = docFreq.get(term) || 0;
+    return Math.max(0.05, Math.log(1 + (docs.length - n + 0.5) / (n + 0.5)));
+  };
+  const unseenWeight = idf(undefined) * UNSEEN_TERM_WEIGHT;
+
+  /**
+   * Ranked passages for a question
+   * @param {String} question
+   * @param {Object} options
+   * @param {Number} options.limit - Maximum results (default 5)
+   * @returns {Array<{passage: Object, score: Number, confidence: Number}>}
+   */
+  function search(question, { limit = 5 } = {}) {
+    const terms = [...new Set(tokenize(question))];
+    if (terms.length === 0 || docs.length === 0) return [];
+    const weights = terms.map((t) => (docFreq.has(t) ? idf(t) : unseenWeight));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+    return docs
+      .map((doc) => {
+        let score = 0;
+        let matchedWeight = 0;
+        terms.forEach((term, i) => {
+          const tf = doc.freq.get(term);
+          if (!tf) return;
+          matchedWeight += weights[i];
+          score += (idf(term) * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength));
+        });
+        return { passage: doc.passage, score, confidence: matchedWeight / totalWeight };
+      })
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Best passages for a question, if any clear the confidence threshold
+   * @param {String} question
+   * @param {Object} options
+   * @param {Number} options.threshold - Minimum confidence, 0–1 (default 0.35)
+   * @param {Number} options.maxPassages - Most passages to return (default 3)
+   * @returns {{confident: Boolean, passages: Array<{text: String, title: String, source: Object, score: Number, confidence: Number}>}}
+   */
+  function answer(question, { threshold = DEFAULT_CONFIDENCE_THRESHOLD, maxPassages = DEFAULT_MAX_PASSAGES } = {}) {
+    const ranked = search(question, { limit: maxPassages * 3 }).filter((r) => r.confidence >= threshold);
+    if (ranked.length === 0) return { confident: false, passages: [] };
+
+    const cutoff = ranked[0].score * RELATIVE_SCORE_CUTOFF;
+    const seen = new Set();
+    const picked = [];
+    for (const r of ranked) {
+      if (r.score < cutoff || picked.length >= maxPassages) break;
+      // The same sentence can come from two sources (e.g. knowledge and story)
+      if (seen.has(r.passage.text)) continue;
+      seen.add(r.passage.text);
+      picked.push({
+        text: r.passage.text,
+        title: r.passage.title,
+        source: r.passage.source,
+        score: Number(r.score.toFixed(3)),
+        confidence: Number(r.confidence.toFixed(2)),
+      });
+    }
+    return { confident: true, passages: picked };
+  }
+
+  return { passages, search, answer };
+}
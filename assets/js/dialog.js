@@ -0,0 +1,192 @@
+// ============================================
+// ACCESSIBLE DIALOG
+// ============================================
+// A modal dialog over markup that is already on the page:
+//
+//   <div id="example" class="dialog-root" hidden>
+//     <div data-dialog-backdrop></div>
+//     <div role="dialog" aria-modal="true" aria-labelledby="…" tabindex="-1" data-dialog-panel>
+//       <button type="button" data-dialog-close aria-label="Close">×</button>
+//       <button type="button" data-dialog-prev>…</button> <button type="button" data-dialog-next>…</button>
+//     </div>
+//   </div>
+//
+//   const dialog = createDialog(document.getElementById("example"), { onNavigate: (step) => … });
+//   dialog.open({ returnFocus: card });
+//
+// While it is open, Tab and Shift+Tab stay inside the panel, Escape, the
+// backdrop and the close button dismiss it, and ←/→, a horizontal swipe or the
+// prev/next buttons ask for the previous (-1) or next (1) item. Closing puts
+// focus back on returnFocus, or where it was before opening.
+//
+// Listeners are added once, by createDialog; opening only shows the dialog.
+
+const FOCUSABLE = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  'input:not([disabled]):not([type="hidden"])',
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "audio[controls]",
+  "video[controls]",
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+// Shortest horizontal swipe that counts, in pixels
+export const SWIPE_MIN_DISTANCE = 50;
+
+/**
+ * Make a dialog of existing markup (see above)
+ * @param {HTMLElement} root - Wrapper holding the backdrop and the panel; hidden while closed
+ * @param {Object} options
+ * @param {Function} options.onNavigate - (step) for ←/→, swipes and prev/next buttons; omit to disable
+ * @param {Function} options.onDismiss - Escape, backdrop or close button; defaults to close()
+ * @returns {{open: Function, close: Function, isOpen: Function, panel: HTMLElement}}
+ */
+export function createDialog(root, { onNavigate, onDismiss } = {}) {
+  const panel = root.querySelector("[data-dialog-panel]");
+  let returnFocus = null;
+  let touchStart = null;
+
+  const isOpen = () => !root.hidden;
+
+  const dialog = {
+    panel,
+    isOpen,
+
+    /**
+     * Show the dialog and move focus into it. While open, only updates
+     * where focus returns to.
+     * @param {Object} options
+     * @param {HTMLElement} options.returnFocus - Focused on close (default: the element focused now)
+     */
+    open({ returnFocus: target } = {}) {
+      if (isOpen()) {
+        if (target) returnFocus = target;
+        return;
+      }
+      returnFocus = target || document.activeElement;
+      root.hidden = false;
+      document.body.classList.add("no-scroll");
+      panel.focus();
+    },
+
+    close() {
+      if (!isOpen()) return;
+      root.hidden = true;
+      document.body.classList.remove("no-scroll");
+      const target = returnFocus;
+      returnFocus = null;
+      if (target?.isConnected) target.focus();
+    },
+  };
+
+  const dismiss = () => (onDismiss ? onDismiss() : dialog.close());
+
+  const navigate = (step) => {
+    if (!onNavigate) return;
+    onNavigate(step);
+    // The content may have been replaced, focused element and all
+    if (!panel.contains(document.activeElement)) panel.focus();
+  };
+
+  root.querySelector("[data-dialog-backdrop]")?.addEventListener("click", dismiss);
+  root.querySelectorAll("[data-dialog-close]").forEach((btn) => btn.addEventListener("click", dismiss));
+  root.querySelectorAll("[data-dialog-prev]").forEach((btn) => btn.addEventListener("click", () => navigate(-1)));
+  root.querySelectorAll("[data-dialog-next]").forEach((btn) => btn.addEventListener("click", () => navigate(1)));
+
+  // Content handles its own keys first (and calls preventDefault when it does)
+  root.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || !isOpen()) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      dismiss();
+    } else if (e.key === "Tab") {
+      trapFocus(panel, e);
+    } else if ((e.key === "ArrowLeft" || e.key === "ArrowRight") && onNavigate && !isTextField(e.target)) {
+      e.preventDefault();
+      navigate(e.key === "ArrowLeft" ? -1 : 1);
+    }
+  });
+
+  // Focus that escapes anyway (a click outside the panel, script) comes back
+  document.addEventListener("focusin", (e) => {
+    if (isOpen() && !root.contains(e.target)) panel.focus();
+  });
+
+  panel.addEventListener(
+    "touchstart",
+    (e) => {
+      touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+    },
+    { passive: true },
+  );
+  panel.addEventListener(
+    "touchend",
+    (e) => {
+      if (!touchStart) return;
+      const touch = e.changedTouches[0];
+      const step = swipeStep(touchStart, { x: touch.clientX, y: touch.clientY });
+      touchStart = null;
+      if (step) navigate(step);
+    },
+    { passive: true },
+  );
+
+  return dialog;
+}
+
+/**
+ * Direction of a swipe: a mostly horizontal move of at least
+ * SWIPE_MIN_DISTANCE. Swiping left shows the next item.
+ * @param {{x: Number, y: Number}} start
+ * @param {{x: Number, y: Number}} end
+ * @returns {Number} 1 (next), -1 (previous) or 0 (no swipe)
+ */
+export function swipeStep(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < 2 * Math.abs(dy)) return 0;
+  return dx < 0 ? 1 : -1;
+}
+
+/**
+ * Index of the item step places away, wrapping around at either end
+ * @param {Number} index - Current index
+ * @param {Number} length - Number of items
+ * @param {Number} step - Usually -1 or 1
+ * @returns {Number} -1 when there are no items
+ */
+export function wrapIndex(index, length, step) {
+  if (length <= 0) return -1;
+  return (((index + step) % length) + length) % length;
+}
+
+// Keep Tab and Shift+Tab cycling through the panel's controls
+function trapFocus(panel, e) {
+  const items = Array.from(panel.querySelectorAll(FOCUSABLE)).filter(
+    (el) => !el.closest("[hidden]") && el.getClientRects().length > 0,
+  );
+  if (items.length === 0) {
+    e.preventDefault();
+    panel.focus();
+    return;
+  }
+  const first = items[0];
+  const last = items[items.length - 1];
+  const active = document.activeElement;
+  if (e.shiftKey && (active === first || active === panel)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || !panel.contains(active))) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function isTextField(el) {
+  return Boolean(el.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
@@ -0,0 +1,197 @@
+// ============================================
+// SAFE HTML RENDERING
+// ============================================
+// Every renderer in index.html builds its markup with the `html` tag, which
+// escapes each interpolated value the way the functions' escapeHtml does
+// (functions/_lib/email/template.js). Only markup that is itself built with
+// `html` (or returned by renderMarkdown) is inserted as-is:
+//
+//   card.innerHTML = html`<h3>${project.title}</h3>${renderStats(stats)}`;
+//   link.innerHTML = html`<a href="${safeUrl(project.githubUrl)}">Code</a>`;
+//
+// Escaping does not make a URL safe to follow ("javascript:…" needs no
+// special characters), so href and src values also go through safeUrl().
+//
+// Chatbot answers may use a small markdown subset (**bold**, [links](…),
+// "- " and "1. " lists). renderMarkdown() turns it into HTML and passes the
+// result through an allow-list sanitizer.
+
+const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:", "tel:"]);
+
+// Tags (and their attributes) renderMarkdown may produce
+export const MARKDOWN_ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  strong: [],
+  em: [],
+  ul: [],
+  ol: [],
+  li: [],
+  a: ["href"],
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", "#039": "'", "#39": "'" };
+
+// Markup that html`` inserts without escaping
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escape text for safe interpolation into HTML (element content or quoted attributes)
+ * @param {*} text
+ * @returns {String}
+ */
+export function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  }[c]));
+}
+
+/**
+ * Template tag: escapes every value except nested html`` results.
+ * null, undefined and false render nothing; arrays render each item.
+ * @returns {SafeHtml} Use as a string (innerHTML, template literals, String())
+ */
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+/**
+ * Mark trusted markup (e.g. sanitizeHtml() output) as safe for html``
+ * @param {String} markup
+ * @returns {SafeHtml}
+ */
+export function unsafeHtml(markup) {
+  return new SafeHtml(String(markup ?? ""));
+}
+
+/**
+ * A URL that is safe in href/src: http(s), mailto and tel links, in-page
+ * anchors and site paths. Anything else (javascript:, data:, …) gives "".
+ * @param {*} url
+ * @returns {String}
+ */
+export function safeUrl(url) {
+  const value = String(url ?? "").trim();
+  if (!value) return "";
+  // "//host" and "/\host" (browsers read it as "//host") leave the site
+  if (/^(#|\/(?![/\\])|\.{1,2}\/)/.test(value)) return value;
+  try {
+    return SAFE_PROTOCOLS.has(new URL(value).protocol) ? value : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Keep only allow-listed tags and attributes; everything else is dropped
+ * (tags) or escaped (stray angle brackets). Links get a safe href, and open
+ * in a new tab when they leave the page.
+ * @param {String} markup
+ * @param {Object<string, String[]>} allowed - Tag → allowed attributes (default MARKDOWN_ALLOWED_TAGS)
+ * @returns {String}
+ */
+export function sanitizeHtml(markup, allowed = MARKDOWN_ALLOWED_TAGS) {
+  return String(markup ?? "")
+    .replace(/<(script|style|template|iframe)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b([^<>]*)>|[<>]/gi, (match, closing, name, attrs) => {
+      if (!name) return escapeHtml(match);
+      const tag = name.toLowerCase();
+      if (!Object.hasOwn(allowed, tag)) return "";
+      if (closing) return `</${tag}>`;
+
+      const kept = [];
+      let href = "";
+      for (const [, attrName, dq, sq, bare] of attrs.matchAll(/([a-z][a-z-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi)) {
+        const attr = attrName.toLowerCase();
+        if (!allowed[tag].includes(attr)) continue;
+        let value = decodeEntities(dq ?? sq ?? bare);
+        if (attr === "href" || attr === "src") {
+          value = safeUrl(value);
+          if (!value) continue;
+          if (attr === "href") href = value;
+        }
+        kept.push(`${attr}="${escapeHtml(value)}"`);
+      }
+      if (tag === "a" && /^https?:/i.test(href)) {
+        kept.push('target="_blank"', 'rel="noopener noreferrer"');
+      }
+      return `<${tag}${kept.length ? ` ${kept.join(" ")}` : ""}>`;
+    });
+}
+
+/**
+ * Render the chatbot's markdown subset as sanitized HTML:
+ * paragraphs, line breaks, **bold**, [label](url) links and "- " / "1. " lists
+ * @param {String} text
+ * @returns {SafeHtml}
+ */
+export function renderMarkdown(text) {
+  const blocks = String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  const out = blocks.map((block) => {
+    const lines = block.split("\n");
+    if (lines.every((line) => /^\s*[-*•]\s+/.test(line))) {
+      return `<ul>${lines.map((line) => `<li>${renderInline(line.replace(/^\s*[-*•]\s+/, ""))}</li>`).join("")}</ul>`;
+    }
+    if (lines.every((line) => /^\s*\d+[.)]\s+/.test(line))) {
+      return `<ol>${lines.map((line) => `<li>${renderInline(line.replace(/^\s*\d+[.)]\s+/, ""))}</li>`).join("")}</ol>`;
+    }
+    return `<p>${lines.map(renderInline).join("<br>")}</p>`;
+  });
+  return unsafeHtml(sanitizeHtml(out.join("")));
+}
+
+function renderValue(value) {
+  if (value == null || value === false) return "";
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value instanceof SafeHtml) return value.markup;
+  return escapeHtml(value);
+}
+
+// **bold** and [label](url) (URLs may hold balanced parentheses); everything
+// else is escaped text
+function renderInline(text) {
+  let out = "";
+  let last = 0;
+  for (const match of text.matchAll(/\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\*\*([^*\n]+)\*\*/g)) {
+    out += escapeHtml(text.slice(last, match.index));
+    const [, label, url, bold] = match;
+    if (bold !== undefined) {
+      out += `<strong>${escapeHtml(bold)}</strong>`;
+    } else {
+      const href = safeUrl(url);
+      out += href ? `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>` : escapeHtml(label);
+    }
+    last = match.index + match[0].length;
+  }
+  return out + escapeHtml(text.slice(last));
+}
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    const key = code.toLowerCase();
+    if (Object.hasOwn(ENTITIES, key)) return ENTITIES[key];
+    const codePoint = key.startsWith("#x") ? parseInt(key.slice(2), 16) : key.startsWith("#") ? parseInt(key.slice(1), 10) : NaN;
+    return codePoint >= 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+  });
+}
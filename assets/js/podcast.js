@@ -0,0 +1,142 @@
+// ============================================
+// PODCAST TIMELINE AND RESUME
+// ============================================
+// The podcast has no timestamps of its own, so chapters and transcript lines
+// are laid out over each recording from the sections of assets/Story/story.txt:
+// every line gets a share of the duration proportional to its length.
+//
+//   const timeline = buildPodcastTimeline(parseStorySections(story), audio.duration);
+//   timeline.chapters[findCurrentIndex(timeline.chapters, audio.currentTime)].title
+//
+// The English, Hindi and Gujarati recordings differ in length, so each
+// language gets its own timeline (same chapters, different start times).
+//
+// Resume positions are kept per language in localStorage under
+// RESUME_STORAGE_KEY as { "<lang>": seconds }.
+
+export const RESUME_STORAGE_KEY = "podcastResume";
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+// Closer than this to either end, the episode starts over next time
+const RESUME_MARGIN_SECONDS = 5;
+
+// A line starting with a bullet, emoji or "1." is an item of its own;
+// anything else continues the wrapped sentence before it
+const LIST_ITEM = /^(?:[^\p{L}\p{N}"“'(]|\d+[.)]\s)/u;
+
+/**
+ * Chapters and transcript lines of one recording
+ * @param {Array<{title: String, body: String}>} sections - From parseStorySections
+ * @param {Number} duration - Length of the recording in seconds
+ * @returns {{chapters: Array<{title: String, start: Number, end: Number}>, lines: Array<{text: String, start: Number, end: Number, chapter: Number}>}}
+ */
+export function buildPodcastTimeline(sections, duration) {
+  const chapters = sections
+    .map((section) => ({ title: section.title, lines: transcriptLines(section.body) }))
+    .filter((chapter) => chapter.lines.length > 0);
+  // The title counts too: it is (roughly) what the hosts say first
+  const weight = (text) => text.length;
+  const total = chapters.reduce((sum, c) => sum + weight(c.title) + c.lines.reduce((s, l) => s + weight(l), 0), 0);
+  const seconds = total > 0 && Number.isFinite(duration) && duration > 0 ? duration / total : 0;
+
+  const timeline = { chapters: [], lines: [] };
+  let clock = 0;
+  chapters.forEach((chapter, index) => {
+    const start = clock;
+    clock += weight(chapter.title) * seconds;
+    chapter.lines.forEach((text) => {
+      const lineStart = clock;
+      clock += weight(text) * seconds;
+      timeline.lines.push({ text, start: round(lineStart), end: round(clock), chapter: index });
+    });
+    timeline.chapters.push({ title: chapter.title, start: round(start), end: round(clock) });
+  });
+  return timeline;
+}
+
+/**
+ * Index of the chapter or line playing at a time
+ * @param {Array<{start: Number}>} items - Sorted by start
+ * @param {Number} time - Seconds
+ * @returns {Number} -1 when items is empty
+ */
+export function findCurrentIndex(items, time) {
+  let low = 0;
+  let high = items.length - 1;
+  let found = items.length ? 0 : -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (items[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Where to resume a language's recording
+ * @param {Storage} storage - localStorage
+ * @param {String} lang
+ * @returns {Number} Seconds, 0 to start from the beginning
+ */
+export function getResumePosition(storage, lang) {
+  const position = readPositions(storage)[lang];
+  return Number.isFinite(position) && position > 0 ? position : 0;
+}
+
+/**
+ * Remember the position in a language's recording. Near the start or the end
+ * the position is forgotten, so a finished episode starts over.
+ * @param {Storage} storage - localStorage
+ * @param {String} lang
+ * @param {Number} time - Current position in seconds
+ * @param {Number} duration - Length of the recording in seconds
+ */
+export function saveResumePosition(storage, lang, time, duration) {
+  const positions = readPositions(storage);
+  if (time < RESUME_MARGIN_SECONDS || (Number.isFinite(duration) && time > duration - RESUME_MARGIN_SECONDS)) {
+    delete positions[lang];
+  } else {
+    positions[lang] = Math.floor(time);
+  }
+  try {
+    storage.setItem(RESUME_STORAGE_KEY, JSON.stringify(positions));
+  } catch {
+    // Storage full or disabled: resuming is a nicety
+  }
+}
+
+// Sentences and list items of a section body, in reading order
+function transcriptLines(body) {
+  const items = [];
+  for (const paragraph of String(body || "").split(/\n\s*\n/)) {
+    let prose = false;
+    for (const raw of paragraph.split("\n")) {
+      const line = raw.trim();
+      if (!line || /^[-=_]{3,}$/.test(line)) continue;
+      const continues = items.length > 0 && !LIST_ITEM.test(line) && (/^\p{Ll}/u.test(line) || (prose && !/[.!?:]$/.test(items[items.length - 1])));
+      if (continues) {
+        items[items.length - 1] += ` ${line}`;
+      } else {
+        items.push(line);
+        prose = !LIST_ITEM.test(line);
+      }
+    }
+  }
+  return items.flatMap((item) => (LIST_ITEM.test(item) ? [item] : item.split(/(?<=[.!?]["”]?)\s+(?=["“]?\p{Lu})/u)));
+}
+
+function readPositions(storage) {
+  try {
+    const positions = JSON.parse(storage.getItem(RESUME_STORAGE_KEY) || "{}");
+    return positions && typeof positions === "object" && !Array.isArray(positions) ? positions : {};
+  } catch {
+    return {};
+  }
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
@@ -0,0 +1,170 @@
+// ============================================
+// SITE KNOWLEDGE FOR THE CHATBOT
+// ============================================
+// Turns the site's content (content/*.json) and the podcast story
+// (assets/Story/story.txt) into passages for ./answer-engine.js. Every
+// passage carries the source it is cited as: a label and, where the page has
+// one, a link to the matching section or project.
+
+const STORY_PASSAGE_MIN_LENGTH = 160;
+
+export const FALLBACK_ANSWER =
+  "I'm not sure about that one. I can answer questions about Dhruvil's skills, projects, certifications, education and story. For anything else, I can pass a message on to him: just say \"contact\".";
+
+/**
+ * Split story.txt into its sections. A section starts with an upper-case
+ * heading underlined with dashes:
+ *
+ *   EDUCATION
+ *   ---------
+ *
+ * @param {String} text - Contents of story.txt
+ * @returns {Array<{title: String, heading: String, body: String}>} title is in Title Case
+ */
+export function parseStorySections(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const sections = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = lines[i + 1] || "";
+    if (/^\s*-{3,}\s*$/.test(next) && line.trim() && !/^\s*[-=]+\s*$/.test(line)) {
+      current = { heading: line.trim(), title: toTitleCase(line.trim()), lines: [] };
+      sections.push(current);
+      i++;
+      continue;
+    }
+    if (current && !/^\s*=+\s*$/.test(line)) current.lines.push(line);
+  }
+
+  return sections.map(({ heading, title, lines: body }) => ({ heading, title, body: body.join("\n").trim() }));
+}
+
+/**
+ * Passages for the answer engine
+ * @param {Object} content
+ * @param {Object[]} content.knowledge - Items of content/knowledge.json
+ * @param {Object[]} content.projects - Items of content/projects.json
+ * @param {Object[]} content.skills - Items of content/skills.json
+ * @param {Object[]} content.certifications - Items of content/certifications.json
+ * @param {String} content.story - story.txt (optional)
+ * @returns {Array<{id: String, title: String, text: String, keywords: String[], source: {label: String, href?: String}}>}
+ */
+export function buildSitePassages({ knowledge = [], projects = [], skills = [], certifications = [], story = "" } = {}) {
+  const passages = [];
+
+  knowledge
+    .filter((k) => k.kind === "fact")
+    .forEach((k) => {
+      passages.push({
+        id: `knowledge:${k.id}`,
+        title: k.topic,
+        text: k.answer,
+        keywords: k.keywords,
+        source: { label: `About · ${k.topic}`, href: "#about" },
+      });
+    });
+
+  projects.forEach((p) => {
+    const tags = (p.tags || []).join(", ");
+    passages.push({
+      id: `project:${p.slug}`,
+      title: p.title,
+      text: `${p.title}: ${p.description}${tags ? ` Built with ${tags}.` : ""}`,
+      keywords: ["project", ...(p.tags || [])],
+      source: { label: `Projects · ${p.title}`, href: `#/projects/${p.slug}` },
+    });
+  });
+
+  skills.forEach(({ category, skills: list }) => {
+    const names = list.map((s) => `${s.name} (${s.level}%)`).join(", ");
+    passages.push({
+      id: `skills:${category}`,
+      title: category,
+      text: `${category} skills: ${names}.`,
+      keywords: ["skill", ...list.map((s) => s.name)],
+      source: { label: `Skills · ${category}`, href: "#skills" },
+    });
+  });
+
+  certifications.forEach((c, i) => {
+    passages.push({
+      id: `certification:${i}`,
+      title: `${c.issuer} ${c.title}`,
+      text: `${c.issuer} — ${c.title}: ${c.description}`,
+      keywords: ["certification", "certificate", "course"],
+      source: { label: `Certifications · ${c.title}`, href: "#certifications" },
+    });
+  });
+
+  parseStorySections(story).forEach((section) => {
+    storyPassages(section.body).forEach((text, i) => {
+      passages.push({
+        id: `story:${section.heading}:${i}`,
+        title: section.title,
+        text,
+        keywords: [],
+        source: { label: `Dhruvil's story · ${section.title}` },
+      });
+    });
+  });
+
+  return passages;
+}
+
+/**
+ * Small-talk answer (greeting, thanks, goodbye, help) for short messages
+ * @param {String} question
+ * @param {Object[]} knowledge - Items of content/knowledge.json
+ * @returns {String|null}
+ */
+export function matchSmallTalk(question, knowledge = []) {
+  const normalized = ` ${String(question || "").toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim()} `;
+  // "hi, what projects has he built?" is a question, not a greeting
+  if (normalized.trim().split(" ").length > 4) return null;
+  const hit = knowledge.find(
+    (k) => k.kind === "smalltalk" && k.keywords.some((keyword) => normalized.includes(` ${keyword.toLowerCase()} `)),
+  );
+  return hit ? hit.answer : null;
+}
+
+/**
+ * Answer a question from the site content alone: small talk first, then the
+ * best passages, else FALLBACK_ANSWER
+ * @param {Object} engine - From createAnswerEngine(buildSitePassages(…))
+ * @param {String} question
+ * @param {Object[]} knowledge - Items of content/knowledge.json
+ * @returns {{text: String}|{passages: Object[]}}
+ */
+export function answerFromSite(engine, question, knowledge = []) {
+  const smallTalk = matchSmallTalk(question, knowledge);
+  if (smallTalk) return { text: smallTalk };
+  const result = engine.answer(question);
+  return result.confident ? { passages: result.passages } : { text: FALLBACK_ANSWER };
+}
+
+// Paragraphs of a story section, short ones joined with the next so every
+// passage can stand on its own as an answer
+function storyPassages(body) {
+  const chunks = [];
+  let current = "";
+  for (const paragraph of body.split(/\n\s*\n/)) {
+    const text = paragraph.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+    current = current ? `${current} ${text}` : text;
+    if (current.length >= STORY_PASSAGE_MIN_LENGTH) {
+      chunks.push(current);
+      current = "";
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function toTitleCase(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/(^|[\s/(&-])(\p{L})/gu, (_, sep, ch) => sep + ch.toUpperCase())
+    .replace(/\b(And|Of|In|My|With|The|To)\b/g, (w, _, offset) => (offset === 0 ? w : w.toLowerCase()));
+}
@@ -0,0 +1,167 @@
+// ============================================
+// FIRST-PARTY ANALYTICS
+// ============================================
+// Daily counts of what visitors do on the page (functions/api/collect.js),
+// recorded only after they accept the consent banner.
+//
+// No IP address, user agent or chat text is stored. A visitor is counted
+// once per day by a hash of their IP and user agent with that day's salt.
+// The salt is random and expires after two days, so a hash cannot be traced
+// back to an IP, nor linked to the same visitor on another day.
+//
+// BINDINGS:
+// - ANALYTICS: KV namespace for the daily counts
+//   (falls back to an in-memory store when the binding is missing)
+//
+// Keys:
+// - "stats:<YYYY-MM-DD>"         { date, visitors, events: { <type>: { <target>: count } } }
+// - "salt:<YYYY-MM-DD>"          the day's salt (expires)
+// - "visitor:<YYYY-MM-DD>:<hash>" marks a visitor as counted (expires)
+//
+// Counts are read-modify-write, so concurrent requests can lose an
+// increment now and then; they are meant for trends, not billing.
+
+import { getDailySalt, SALT_TTL_SECONDS } from "./daily-salt.js";
+import { MemoryKV } from "./memory-kv.js";
+
+// Event types and the targets they may carry (null = no target)
+export const ANALYTICS_EVENTS = {
+  section_view: /^[a-z][a-z0-9-]{0,31}$/,
+  project_open: /^[a-z0-9][a-z0-9-]{0,63}$/,
+  podcast_play: /^[a-z]{2}$/,
+  chat_question: null,
+  contact_submit: /^(form|chat)$/,
+};
+
+export const MAX_EVENTS_PER_REQUEST = 20;
+export const MAX_SUMMARY_DAYS = 90;
+// Further targets of a type on the same day are counted as "other"
+const MAX_TARGETS_PER_TYPE = 100;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let fallbackStore;
+
+/**
+ * Resolve the analytics store from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} KV namespace (or in-memory stand-in)
+ */
+export function getAnalyticsStore(env = {}) {
+  if (env.ANALYTICS) return env.ANALYTICS;
+  if (!fallbackStore) {
+    console.warn("⚠️ ANALYTICS binding missing, using in-memory store (counts are not persisted)");
+    fallbackStore = new MemoryKV();
+  }
+  return fallbackStore;
+}
+
+/**
+ * Keep the well-formed events of a request body; anything else is dropped
+ * @param {*} events - Body `events`
+ * @returns {Array<{type: String, target: String|null}>}
+ */
+export function parseEvents(events) {
+  if (!Array.isArray(events)) return [];
+  return events
+    .slice(0, MAX_EVENTS_PER_REQUEST)
+    .filter((e) => e && Object.hasOwn(ANALYTICS_EVENTS, e.type))
+    .map((e) => {
+      const pattern = ANALYTICS_EVENTS[e.type];
+      const target = typeof e.target === "string" ? e.target.trim().toLowerCase() : "";
+      if (!pattern) return { type: e.type, target: null };
+      return pattern.test(target) ? { type: e.type, target } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * UTC calendar day of a time
+ * @param {Number} now - Epoch milliseconds
+ * @returns {String} YYYY-MM-DD
+ */
+export function toDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Add events to today's counts
+ * @param {Object} store - KV namespace
+ * @param {Object} params
+ * @param {Array} params.events - From parseEvents
+ * @param {String} params.ip - Client IP (hashed, never stored)
+ * @param {String} params.userAgent - User-Agent header (hashed, never stored)
+ * @param {Number} params.now - Epoch milliseconds
+ * @returns {Promise<{date: String, newVisitor: Boolean}>}
+ */
+export async function recordEvents(store, { events, ip = "", userAgent = "", now = Date.now() }) {
+  const date = toDay(now);
+  const visitor = await hashVisitor(await getDailySalt(store, date), ip, userAgent);
+  const visitorKey = `visitor:${date}:${visitor}`;
+  const newVisitor = !(await store.get(visitorKey));
+  if (newVisitor) await store.put(visitorKey, "1", { expirationTtl: SALT_TTL_SECONDS });
+
+  const stats = (await store.get(`stats:${date}`, { type: "json" })) || { date, visitors: 0, events: {} };
+  if (newVisitor) stats.visitors++;
+  for (const { type, target } of events) {
+    const counts = (stats.events[type] ||= {});
+    let key = target ?? "total";
+    if (!Object.hasOwn(counts, key) && Object.keys(counts).length >= MAX_TARGETS_PER_TYPE) key = "other";
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  await store.put(`stats:${date}`, JSON.stringify(stats));
+  return { date, newVisitor };
+}
+
+/**
+ * Daily counts between two days (inclusive), oldest first; days without
+ * visits are included with zero counts
+ * @param {Object} store - KV namespace
+ * @param {{from: String, to: String}} range - YYYY-MM-DD
+ * @returns {Promise<{from: String, to: String, days: Array, totals: Object}>}
+ */
+export async function getAnalyticsSummary(store, { from, to }) {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += 86400000) {
+    const date = toDay(t);
+    const stats = (await store.get(`stats:${date}`, { type: "json" })) || { date, visitors: 0, events: {} };
+    days.push({ ...stats, totals: totalsOf(stats.events) });
+  }
+
+  const totals = { visitors: 0, events: {} };
+  for (const day of days) {
+    totals.visitors += day.visitors;
+    for (const [type, count] of Object.entries(day.totals)) totals.events[type] = (totals.events[type] || 0) + count;
+  }
+  return { from, to, days, totals };
+}
+
+/**
+ * Day range for the summary route from ?from=&to= or ?days=
+ * @param {URLSearchParams} params
+ * @param {Number} now - Epoch milliseconds
+ * @returns {{from: String, to: String}|{error: String}}
+ */
+export function parseSummaryRange(params, now = Date.now()) {
+  const to = params.get("to") || toDay(now);
+  const days = Number(params.get("days") || 7);
+  const from = params.get("from") || (Number.isInteger(days) && days > 0 ? toDay(Date.parse(to) - (days - 1) * 86400000) : "");
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    return { error: "Use from and to as YYYY-MM-DD, or days as a positive whole number" };
+  }
+  const span = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (span < 1) return { error: "from must not be after to" };
+  if (span > MAX_SUMMARY_DAYS) return { error: `At most ${MAX_SUMMARY_DAYS} days per summary` };
+  return { from, to };
+}
+
+async function hashVisitor(salt, ip, userAgent) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}|${ip}|${userAgent}`));
+  return Array.from(new Uint8Array(digest).slice(0, 12), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function totalsOf(events) {
+  return Object.fromEntries(
+    Object.entries(events).map(([type, counts]) => [type, Object.values(counts).reduce((a, b) => a + b, 0)]),
+  );
+}
@@ -0,0 +1,134 @@
+// ============================================
+// CONTACT FORM ATTACHMENTS
+// ============================================
+// Validates files uploaded with a multipart/form-data submission and turns
+// them into base64 attachments for the owner notification.
+//
+// A file is accepted only when its leading bytes identify one of the allowed
+// types AND its extension (and declared MIME type, when sent) agree with them,
+// so a renamed executable is rejected even if the browser labels it "PDF".
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_ATTACHMENT_MAX_BYTES: (optional) total size cap for all files,
+//   default 5 MB
+
+import { clampInt } from "./http.js";
+
+export const ATTACHMENT_FIELD = "attachments";
+export const MAX_ATTACHMENTS = 3;
+export const DEFAULT_MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Keep well under provider limits (MailChannels and KV values)
+const HARD_MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+const ALLOWED_TYPES = {
+  "application/pdf": {
+    extensions: ["pdf"],
+    matches: (bytes) => startsWith(bytes, [0x25, 0x50, 0x44, 0x46, 0x2d]), // %PDF-
+  },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extensions: ["docx"],
+    // DOCX is a ZIP archive whose entries live under word/
+    matches: (bytes) => startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) && includesAscii(bytes, "word/"),
+  },
+  "image/png": {
+    extensions: ["png"],
+    matches: (bytes) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  "image/jpeg": {
+    extensions: ["jpg", "jpeg"],
+    matches: (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]),
+  },
+};
+
+export const ALLOWED_ATTACHMENT_TYPES = Object.keys(ALLOWED_TYPES);
+
+/**
+ * Total attachment size limit for this deployment
+ * @param {Object} env - Pages environment bindings
+ * @returns {Number} Bytes
+ */
+export function getAttachmentLimit(env = {}) {
+  return clampInt(env.CONTACT_ATTACHMENT_MAX_BYTES, DEFAULT_MAX_ATTACHMENT_BYTES, 1, HARD_MAX_ATTACHMENT_BYTES);
+}
+
+/**
+ * Validate uploaded files and encode them for the email providers
+ * @param {File[]} files - Files from the "attachments" form field
+ * @param {Object} env - Pages environment bindings
+ * @returns {Promise<{attachments: Array<{filename: string, contentType: string, size: number, content: string}>} | {status: number, code: string, error: string}>}
+ */
+export async function readAttachments(files, env = {}) {
+  if (files.length === 0) return { attachments: [] };
+  if (files.length > MAX_ATTACHMENTS) {
+    return reject("too_many_attachments", `You can attach at most ${MAX_ATTACHMENTS} files`);
+  }
+
+  const limit = getAttachmentLimit(env);
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  if (total > limit) {
+    return reject("attachments_too_large", `Attachments must be ${formatBytes(limit)} or less in total`, 413);
+  }
+
+  const attachments = [];
+  for (const file of files) {
+    const filename = cleanFilename(file.name);
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const contentType = detectType(bytes);
+    const extension = filename.split(".").pop().toLowerCase();
+    const declared = (file.type || "").toLowerCase();
+
+    if (
+      !contentType ||
+      !ALLOWED_TYPES[contentType].extensions.includes(extension) ||
+      (declared && declared !== "application/octet-stream" && declared !== contentType)
+    ) {
+      return reject("attachment_type_not_allowed", `"${filename}" is not an allowed file type (PDF, DOCX, PNG or JPG)`, 415);
+    }
+
+    attachments.push({ filename, contentType, size: bytes.length, content: toBase64(bytes) });
+  }
+  return { attachments };
+}
+
+/**
+ * Human-readable size, e.g. "1.2 MB"
+ * @param {Number} bytes
+ * @returns {String}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, "")} MB`;
+}
+
+function reject(code, error, status = 400) {
+  return { status, code, error };
+}
+
+function detectType(bytes) {
+  return ALLOWED_ATTACHMENT_TYPES.find((type) => ALLOWED_TYPES[type].matches(bytes)) || null;
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
+
+function includesAscii(bytes, text) {
+  // The ZIP directory lists entry names in plain ASCII
+  return new TextDecoder("latin1").decode(bytes).includes(text);
+}
+
+// Strip paths and characters that could break a MIME header
+function cleanFilename(name) {
+  const base = String(name || "attachment").split(/[\\/]/).pop();
+  return base.replace(/[\u0000-\u001f"<>|:*?]/g, "_").trim().substring(0, 120) || "attachment";
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
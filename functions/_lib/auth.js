@@ -0,0 +1,48 @@
+// ============================================
+// OWNER AUTHENTICATION
+// ============================================
+// Bearer-token guard for owner-only routes (inbox, diagnostics, ...).
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_ADMIN_TOKEN: shared secret sent as "Authorization: Bearer <token>"
+
+import { json } from "./http.js";
+
+/**
+ * Check the request's bearer token against CONTACT_ADMIN_TOKEN
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Pages environment bindings
+ * @returns {Response|null} Error response, or null when the caller is authorized
+ */
+export function requireAdmin(request, env = {}) {
+  const expected = env.CONTACT_ADMIN_TOKEN || env.contact_admin_token;
+  if (!expected) {
+    console.error("❌ CONTACT_ADMIN_TOKEN is not configured; owner routes are disabled");
+    return json({ error: "Owner access is not configured", service: "admin_auth_unconfigured" }, 503);
+  }
+
+  const header = request?.headers?.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match || !timingSafeEqual(match[1].trim(), expected)) {
+    return json({ error: "Unauthorized" }, 401, { "WWW-Authenticate": "Bearer" });
+  }
+
+  return null;
+}
+
+/**
+ * Constant-time string comparison (avoids leaking the token through timing)
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+export function timingSafeEqual(a, b) {
+  const enc = new TextEncoder();
+  const x = enc.encode(a);
+  const y = enc.encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x[i] || 0) ^ (y[i] || 0);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,70 @@
+// ============================================
+// CHAT BACKEND REGISTRY
+// ============================================
+// The model behind /api/chat is pluggable. Every backend is created by a
+// factory `(env) => backend` where backend is:
+//   {
+//     name: string,
+//     isConfigured(): boolean,
+//     stream({ system, messages, passages, signal }): AsyncIterable<string>
+//   }
+// `system` is the grounding prompt (see ../chat.js), `messages` the trimmed
+// conversation ({ role: "user" | "assistant", content }), `passages` the
+// site passages the prompt was built from. The iterable yields the reply in
+// pieces as the model produces them; throwing makes the route fall back to
+// the local answer.
+//
+// ENVIRONMENT VARIABLES:
+// - CHAT_BACKEND: (optional) openai | workers-ai | stub. Unset means no model:
+//   every reply comes from the site content (the same answers as the in-page bot)
+
+import { getLogger } from "../logger.js";
+import { createOpenAIBackend } from "./openai.js";
+import { createStubBackend } from "./stub.js";
+import { createWorkersAIBackend } from "./workers-ai.js";
+
+const registry = new Map([
+  ["openai", createOpenAIBackend],
+  ["workers-ai", createWorkersAIBackend],
+  ["stub", createStubBackend],
+]);
+
+/**
+ * Register (or replace) a backend factory
+ * @param {String} name - Name used in CHAT_BACKEND
+ * @param {Function} factory - (env) => backend
+ */
+export function registerChatBackend(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Remove a backend factory
+ * @param {String} name
+ */
+export function unregisterChatBackend(name) {
+  registry.delete(name);
+}
+
+/**
+ * The configured backend, if any
+ * @param {Object} env - Pages environment bindings
+ * @param {Object} log - Logger (see ../logger.js)
+ * @returns {Object|null} null when CHAT_BACKEND is unset, unknown or missing its credentials
+ */
+export function getChatBackend(env = {}, log = getLogger(env)) {
+  const name = String(env.CHAT_BACKEND || env.chat_backend || "").trim().toLowerCase();
+  if (!name) return null;
+
+  const factory = registry.get(name);
+  if (!factory) {
+    log.warn("Unknown chat backend in CHAT_BACKEND, using local answers", { backend: name });
+    return null;
+  }
+  const backend = factory(env);
+  if (!backend.isConfigured()) {
+    log.warn("Chat backend not configured, using local answers", { backend: name });
+    return null;
+  }
+  return backend;
+}
@@ -0,0 +1,68 @@
+// ============================================
+// OPENAI-COMPATIBLE CHAT BACKEND
+// ============================================
+// Chat Completions API with streaming. Works with OpenAI and with any
+// service that speaks the same API (set CHAT_API_URL).
+//
+// ENVIRONMENT VARIABLES:
+// - CHAT_API_KEY: API key (required)
+// - CHAT_MODEL: (optional) model name, default gpt-4o-mini
+// - CHAT_API_URL: (optional) completions endpoint, default OpenAI's
+
+import { readServerSentEvents } from "../sse.js";
+
+const OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const MAX_TOKENS = 400;
+
+/**
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} Chat backend
+ */
+export function createOpenAIBackend(env = {}) {
+  const apiKey = env.CHAT_API_KEY || env.chat_api_key;
+  const model = env.CHAT_MODEL || DEFAULT_MODEL;
+  const endpoint = env.CHAT_API_URL || OPENAI_ENDPOINT;
+
+  return {
+    name: "openai",
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    /**
+     * Stream a reply
+     * @param {{system: String, messages: Object[], signal?: AbortSignal}} request
+     * @returns {AsyncGenerator<String>} Text deltas
+     */
+    async *stream({ system, messages, signal }) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          stream: true,
+          max_tokens: MAX_TOKENS,
+          temperature: 0.3,
+          messages: [{ role: "system", content: system }, ...messages],
+        }),
+        signal,
+      });
+
+      if (!response.ok || !response.body) {
+        const detail = (await response.text()).slice(0, 200);
+        throw new Error(`Chat API responded ${response.status}${detail ? `: ${detail}` : ""}`);
+      }
+
+      for await (const data of readServerSentEvents(response.body)) {
+        if (data === "[DONE]") return;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
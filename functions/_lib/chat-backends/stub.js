@@ -0,0 +1,32 @@
+// ============================================
+// STUB CHAT BACKEND
+// ============================================
+// Deterministic stand-in for a model, for tests and local development
+// (CHAT_BACKEND=stub). It "answers" with the best passage it was given,
+// streamed a word at a time, so the route, the streaming and the UI can be
+// exercised without an API key or network access.
+
+import { FALLBACK_ANSWER } from "../../../assets/js/site-knowledge.js";
+
+/**
+ * @returns {Object} Chat backend
+ */
+export function createStubBackend() {
+  return {
+    name: "stub",
+
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Stream a reply
+     * @param {{passages: Object[]}} request
+     * @returns {AsyncGenerator<String>} Words, each with its trailing space
+     */
+    async *stream({ passages = [] }) {
+      const text = passages.length ? passages[0].text : FALLBACK_ANSWER;
+      for (const word of text.match(/\S+\s*/g)) yield word;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// ============================================
+// WORKERS AI CHAT BACKEND
+// ============================================
+// Cloudflare Workers AI through the `AI` binding; no API key needed.
+//
+// BINDINGS:
+// - AI: Workers AI binding (required)
+//
+// ENVIRONMENT VARIABLES:
+// - CHAT_MODEL: (optional) model name, default @cf/meta/llama-3.1-8b-instruct
+
+import { readServerSentEvents } from "../sse.js";
+
+const DEFAULT_MODEL = "@cf/meta/llama-3.1-8b-instruct";
+const MAX_TOKENS = 400;
+
+/**
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} Chat backend
+ */
+export function createWorkersAIBackend(env = {}) {
+  const model = env.CHAT_MODEL || DEFAULT_MODEL;
+
+  return {
+    name: "workers-ai",
+
+    isConfigured() {
+      return typeof env.AI?.run === "function";
+    },
+
+    /**
+     * Stream a reply
+     * @param {{system: String, messages: Object[], signal?: AbortSignal}} request
+     * @returns {AsyncGenerator<String>} Text deltas
+     */
+    async *stream({ system, messages, signal }) {
+      const stream = await env.AI.run(model, {
+        stream: true,
+        max_tokens: MAX_TOKENS,
+        messages: [{ role: "system", content: system }, ...messages],
+      });
+
+      // The binding takes no signal: piping through one lets an abort end a stalled read too
+      const events = readServerSentEvents(signal ? stream.pipeThrough(new TransformStream(), { signal }) : stream);
+      for await (const data of events) {
+        if (signal?.aborted) throw signal.reason;
+        if (data === "[DONE]") return;
+        const delta = JSON.parse(data).response;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
@@ -0,0 +1,177 @@
+// ============================================
+// CHATBOT
+// ============================================
+// Grounds Info-Byte's replies (functions/api/chat.js) in the site content.
+// Passages come from the same builder and BM25 engine as the in-page bot
+// (assets/js/), so a question finds the same sources whether a model backend
+// answers it or the local fallback does.
+//
+// The server keeps no conversation state: the page sends the recent history
+// with every message (it lives in the visitor's sessionStorage).
+
+import { createAnswerEngine } from "../../assets/js/answer-engine.js";
+import { answerFromSite, buildSitePassages } from "../../assets/js/site-knowledge.js";
+import { getCollection } from "./content.js";
+
+export const MAX_HISTORY_MESSAGES = 12;
+export const MAX_MESSAGE_LENGTH = 1000;
+// Longest chat transcript attached to a contact submission
+export const MAX_TRANSCRIPT_MESSAGES = 40;
+const CONTEXT_PASSAGES = 4;
+const ROLES = new Set(["user", "assistant"]);
+
+let enginePromise;
+
+/**
+ * Answer engine over the site content and the podcast story, built once per isolate
+ * @param {Object} env - Pages environment bindings (ASSETS serves story.txt)
+ * @param {String} origin - Site origin, to address the story asset
+ * @returns {Promise<Object>} From createAnswerEngine
+ */
+export function getChatEngine(env = {}, origin = "https://drthummar.me") {
+  if (!enginePromise) {
+    enginePromise = loadStory(env, origin).then((story) =>
+      createAnswerEngine(
+        buildSitePassages({
+          knowledge: getCollection("knowledge"),
+          projects: getCollection("projects"),
+          skills: getCollection("skills"),
+          certifications: getCollection("certifications"),
+          story,
+        }),
+      ),
+    );
+  }
+  return enginePromise;
+}
+
+/**
+ * Validate and trim the conversation sent by the page
+ * @param {*} messages - Request body `messages`
+ * @returns {{messages: Array<{role: String, content: String}>}|{error: String, code: String}}
+ */
+export function parseChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: "messages must be a non-empty array", code: "invalid_messages" };
+  }
+  const valid = messages.every((m) => m && ROLES.has(m.role) && typeof m.content === "string" && m.content.trim());
+  if (!valid) {
+    return { error: 'Every message needs a role ("user" or "assistant") and text content', code: "invalid_messages" };
+  }
+  const last = messages[messages.length - 1];
+  if (last.role !== "user") {
+    return { error: "The last message must be from the user", code: "invalid_messages" };
+  }
+  if (last.content.trim().length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`, code: "message_too_long" };
+  }
+
+  // Older turns are only context: keep the most recent ones, shortened
+  const recent = messages.slice(-MAX_HISTORY_MESSAGES);
+  while (recent[0].role !== "user") recent.shift();
+  return {
+    messages: recent.map((m) => ({ role: m.role, content: m.content.trim().slice(0, MAX_MESSAGE_LENGTH) })),
+  };
+}
+
+/**
+ * Clean up a chat transcript sent with a contact submission (the chatbot's
+ * hand-off to the contact form). Malformed entries are dropped, not rejected:
+ * the transcript is context for the owner, never a reason to lose a message.
+ * @param {*} transcript - Array of { role, content }, or its JSON (multipart forms)
+ * @returns {Array<{role: String, content: String}>} The most recent MAX_TRANSCRIPT_MESSAGES
+ */
+export function sanitizeTranscript(transcript) {
+  let entries = transcript;
+  if (typeof entries === "string") {
+    try {
+      entries = JSON.parse(entries);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter((m) => m && ROLES.has(m.role) && typeof m.content === "string" && m.content.trim())
+    .slice(-MAX_TRANSCRIPT_MESSAGES)
+    .map((m) => ({ role: m.role, content: m.content.trim().slice(0, MAX_MESSAGE_LENGTH) }));
+}
+
+/**
+ * Passages for the model. A follow-up such as "which database?" is also
+ * searched together with the previous question, so the model still sees
+ * the project the visitor is asking about.
+ * @param {Object} engine - From getChatEngine
+ * @param {Array<{role: String, content: String}>} messages
+ * @returns {Object[]} Passages, most relevant first
+ */
+export function retrieveContext(engine, messages) {
+  const questions = messages.filter((m) => m.role === "user").map((m) => m.content);
+  const question = questions[questions.length - 1];
+  const queries = [question];
+  if (questions.length > 1) queries.push(`${questions[questions.length - 2]} ${question}`);
+
+  const passages = [];
+  for (const query of queries) {
+    for (const passage of engine.answer(query, { maxPassages: CONTEXT_PASSAGES }).passages) {
+      if (!passages.some((p) => p.text === passage.text)) passages.push(passage);
+    }
+  }
+  return passages.slice(0, CONTEXT_PASSAGES);
+}
+
+/**
+ * System prompt that restricts the model to the retrieved passages
+ * @param {Object[]} passages - From retrieveContext
+ * @returns {String}
+ */
+export function buildSystemPrompt(passages) {
+  const context = passages.length
+    ? passages.map((p, i) => `[${i + 1}] ${p.source.label}\n${p.text}`).join("\n\n")
+    : "(nothing on the site matches this question)";
+  return [
+    "You are Info-Byte, the assistant on Dhruvil Thummar's portfolio site. Visitors ask about Dhruvil: his skills, projects, certifications, education and story.",
+    "Answer only from the site content below, in two to four friendly sentences. Refer to Dhruvil in the third person.",
+    "If the content does not answer the question, say you don't know and offer to pass a message on to Dhruvil (the visitor just says \"contact\"). Never invent facts, links or contact details.",
+    "Plain text, optionally with **bold**, \"- \" lists and markdown links ([label](url)) copied from the content.",
+    "",
+    "Site content:",
+    context,
+  ].join("\n");
+}
+
+/**
+ * Reply built from the site content alone (no model), the same answer the
+ * in-page bot gives for the latest question
+ * @param {Object} engine - From getChatEngine
+ * @param {Array<{role: String, content: String}>} messages
+ * @returns {{text: String, sources: Object[]}}
+ */
+export function localReply(engine, messages) {
+  const answer = answerFromSite(engine, messages[messages.length - 1].content, getCollection("knowledge"));
+  if (answer.text) return { text: answer.text, sources: [] };
+  return { text: answer.passages.map((p) => p.text).join("\n\n"), sources: collectSources(answer.passages) };
+}
+
+/**
+ * Distinct sources of the passages, for citations under the reply
+ * @param {Object[]} passages
+ * @returns {Array<{label: String, href?: String}>}
+ */
+export function collectSources(passages) {
+  const seen = new Map();
+  passages.forEach((p) => {
+    if (!seen.has(p.source.label)) seen.set(p.source.label, p.source);
+  });
+  return [...seen.values()];
+}
+
+async function loadStory(env, origin) {
+  if (!env.ASSETS) return "";
+  try {
+    const res = await env.ASSETS.fetch(new URL("/assets/Story/story.txt", origin));
+    return res.ok ? await res.text() : "";
+  } catch {
+    return "";
+  }
+}
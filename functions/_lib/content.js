@@ -0,0 +1,73 @@
+// ============================================
+// SITE CONTENT
+// ============================================
+// Projects, skills, certifications and the chatbot's knowledge live in
+// versioned JSON files under content/ (one collection per file, each with a
+// schema in content/schema/).
+// They are bundled into the function at deploy time; `npm run validate:content`
+// rejects malformed entries before that happens.
+
+import certifications from "../../content/certifications.json" with { type: "json" };
+import knowledge from "../../content/knowledge.json" with { type: "json" };
+import projects from "../../content/projects.json" with { type: "json" };
+import skills from "../../content/skills.json" with { type: "json" };
+import { json } from "./http.js";
+
+export const CONTENT_COLLECTIONS = { projects, skills, certifications, knowledge };
+
+// Bump together with "version" in the content files when their shape changes
+export const CONTENT_VERSION = 1;
+
+/**
+ * Items of one collection
+ * @param {String} name - projects | skills | certifications | knowledge
+ * @returns {Object[]|null} null for an unknown collection
+ */
+export function getCollection(name) {
+  if (!Object.hasOwn(CONTENT_COLLECTIONS, name)) return null;
+  return CONTENT_COLLECTIONS[name].items;
+}
+
+/**
+ * Strong ETag for a response body
+ * @param {String} body
+ * @returns {Promise<String>} Quoted hex digest
+ */
+export async function createETag(body) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body));
+  const hex = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the current ETag
+ * @param {String|null} header
+ * @param {String} etag
+ * @returns {Boolean}
+ */
+export function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag);
+}
+
+/**
+ * Cacheable JSON response, or 304 when the client already has this version
+ * @param {Request} request
+ * @param {Object} payload
+ * @returns {Promise<Response>}
+ */
+export async function contentResponse(request, payload) {
+  const body = JSON.stringify(payload);
+  const etag = await createETag(body);
+  const headers = {
+    ETag: etag,
+    // Browsers revalidate after 5 minutes; an unchanged file then costs a 304
+    "Cache-Control": "public, max-age=300, must-revalidate",
+  };
+
+  if (etagMatches(request.headers.get("If-None-Match"), etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return json(payload, 200, headers);
+}
@@ -0,0 +1,62 @@
+// ============================================
+// CORS ORIGIN ALLOW-LIST
+// ============================================
+// Decides which browser origins may call the /api/* functions.
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_ALLOWED_ORIGINS: (optional) comma-separated origins. Supports
+//   "https://*.example.com" (any subdomain), "http://localhost:*" (any port)
+//   and "*" (any origin). When unset, the site's own origin plus localhost /
+//   127.0.0.1 on any port are allowed, so local dev keeps working.
+
+const DEFAULT_DEV_ORIGINS = ["http://localhost:*", "http://127.0.0.1:*", "https://localhost:*"];
+
+/**
+ * Read the allow-list from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {String[]|null} Patterns, or null when not configured
+ */
+export function parseAllowedOrigins(env = {}) {
+  const raw = env.CONTACT_ALLOWED_ORIGINS || env.contact_allowed_origins;
+  if (!raw) return null;
+  return raw
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Check one origin against a single allow-list pattern
+ * @param {String} origin - e.g. "https://blog.drthummar.me"
+ * @param {String} pattern - e.g. "https://*.drthummar.me"
+ * @returns {Boolean}
+ */
+export function originMatches(origin, pattern) {
+  if (pattern === "*") return true;
+  if (!pattern.includes("*")) return origin.toLowerCase() === pattern.toLowerCase();
+
+  // "*." in the host matches one or more subdomain labels; ":*" matches any port
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\\\*\\\./g, "(?:[a-z0-9-]+\\.)+")
+    .replace(/:\\\*/g, "(?::\\d+)?")
+    .replace(/\\\*/g, "[^/]*");
+  return new RegExp(`^${source}$`, "i").test(origin);
+}
+
+/**
+ * Resolve the Access-Control-Allow-Origin value for a request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Pages environment bindings
+ * @returns {{origin: String|null, allowed: boolean}} origin is the value to echo
+ */
+export function resolveCorsOrigin(request, env = {}) {
+  const origin = request.headers.get("Origin");
+  // Non-browser callers (curl, server-to-server) send no Origin; CORS does not apply
+  if (!origin) return { origin: null, allowed: true };
+
+  const configured = parseAllowedOrigins(env);
+  const patterns = configured || [new URL(request.url).origin, ...DEFAULT_DEV_ORIGINS];
+  const allowed = patterns.some((pattern) => originMatches(origin, pattern));
+  return { origin: allowed ? origin : null, allowed };
+}
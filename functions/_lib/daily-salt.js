@@ -0,0 +1,36 @@
+// ============================================
+// DAILY SALT
+// ============================================
+// A random salt per UTC day, kept in KV under "salt:<YYYY-MM-DD>" and
+// expiring after two days. Hashes of IPs made with it cannot be traced back
+// once the salt is gone, nor linked to the same IP on another day.
+// Used by the analytics visitor count and the rate limiter.
+
+export const SALT_TTL_SECONDS = 2 * 86400;
+
+// store -> Map(date -> salt), so isolates skip the KV read after the first request
+const saltCache = new WeakMap();
+
+/**
+ * The day's salt, created by the first request of the day
+ * @param {Object} store - KV namespace
+ * @param {String} date - YYYY-MM-DD (UTC)
+ * @param {{create?: Boolean}} options - Pass create: false to only read an existing salt
+ * @returns {Promise<String|null>} null when there is none and create is false
+ */
+export async function getDailySalt(store, date, { create = true } = {}) {
+  let cached = saltCache.get(store);
+  if (!cached) saltCache.set(store, (cached = new Map()));
+  if (cached.has(date)) return cached.get(date);
+
+  let salt = await store.get(`salt:${date}`);
+  if (!salt && !create) return null;
+  if (!salt) {
+    salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+    await store.put(`salt:${date}`, salt, { expirationTtl: SALT_TTL_SECONDS });
+  }
+  // Only today's and yesterday's salts are ever asked for
+  if (cached.size >= 2) cached.delete(cached.keys().next().value);
+  cached.set(date, salt);
+  return salt;
+}
@@ -0,0 +1,176 @@
+// ============================================
+// EMAIL DELIVERY
+// ============================================
+// Sends the owner notification and the visitor confirmation for a contact
+// submission through the configured provider chain (see ./providers).
+// Shared by the /api/contact handler and the retry queue.
+
+import { formatBytes } from "./attachments.js";
+import { renderEmail, resolveLocale } from "./email/index.js";
+import { getLogger } from "./logger.js";
+import { getProviderChain } from "./providers/index.js";
+
+// Env names read for each setting, in priority order, and the value used when none is set
+const EMAIL_ENV_ALIASES = {
+  FROM_EMAIL: { names: ["CONTACT_FROM", "contact_from"], fallback: "onboarding@resend.dev" },
+  FROM_NAME: { names: ["CONTACT_FROM_NAME", "contact_from_name"], fallback: "Dhruvil Thummar" },
+  // Admin/owner recipient (fallback to your Gmail so contact still works if env is missing)
+  OWNER_EMAIL: {
+    names: ["CONTACT_TO", "contact_to", "NOTIFY_EMAIL", "notify_email"],
+    fallback: "dhruvilthummar1303@gmail.com",
+  },
+  CC_EMAILS: { names: ["CONTACT_CC", "contact_cc"], fallback: "" },
+};
+
+/**
+ * Report which env name each email setting was read from
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object<string, {source: String|null, value: String}>} source is null when the fallback is used
+ */
+export function resolveEmailEnvSources(env = {}) {
+  return Object.fromEntries(
+    Object.entries(EMAIL_ENV_ALIASES).map(([key, { names, fallback }]) => {
+      const source = names.find((name) => env[name]) || null;
+      return [key, { source, value: source ? env[source] : fallback }];
+    }),
+  );
+}
+
+/**
+ * Resolve sender/recipient configuration from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {{FROM_EMAIL: String, FROM_NAME: String, OWNER_EMAIL: String, CC_EMAILS: String[]}}
+ */
+export function resolveEmailConfig(env = {}) {
+  const { FROM_EMAIL, FROM_NAME, OWNER_EMAIL, CC_EMAILS } = resolveEmailEnvSources(env);
+  return {
+    FROM_EMAIL: FROM_EMAIL.value,
+    FROM_NAME: FROM_NAME.value,
+    OWNER_EMAIL: OWNER_EMAIL.value,
+    CC_EMAILS: CC_EMAILS.value
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Build the owner notification and visitor confirmation messages
+ * @param {Object} params - Sanitized fields, request meta and email config
+ * @returns {{owner: Object, sender: Object}} Normalized provider messages
+ */
+export function buildSubmissionMessages({ cleanName, cleanEmail, cleanSubject, cleanMessage, meta = {}, attachments = [], transcript = [], config }) {
+  const { FROM_EMAIL, FROM_NAME, OWNER_EMAIL, CC_EMAILS } = config;
+  const { clientIp = "unknown", userAgent = "unknown", referer } = meta;
+  // Visitor's preferred language for the confirmation; the owner always gets English
+  const locale = resolveLocale(meta.locale);
+  const data = {
+    name: cleanName,
+    firstName: (cleanName || "").split(/\s+/)[0] || "there",
+    email: cleanEmail,
+    subject: cleanSubject,
+    message: cleanMessage,
+    locale,
+    receivedTime: new Date().toLocaleString("en-US", {
+      weekday: "short",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      timeZoneName: "short",
+    }),
+    meta: { clientIp, userAgent, referer: referer || "direct" },
+    attachments: attachments.map((file) => ({ filename: file.filename, size: formatBytes(file.size) })),
+    transcript: transcript.map((m) => ({
+      role: m.role,
+      speaker: m.role === "user" ? "Visitor" : "Info-Byte",
+      content: m.content,
+    })),
+  };
+
+  return {
+    owner: {
+      from: FROM_EMAIL,
+      fromName: FROM_NAME,
+      to: OWNER_EMAIL,
+      cc: CC_EMAILS,
+      replyTo: cleanEmail,
+      // Attachments go to the owner only, never back to the visitor
+      attachments: attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content })),
+      ...renderEmail("owner-notification", data),
+    },
+    sender: {
+      from: FROM_EMAIL,
+      fromName: FROM_NAME,
+      to: cleanEmail,
+      ...renderEmail("sender-confirmation", data, locale),
+    },
+  };
+}
+
+/**
+ * Deliver a submission: walk the provider chain until one accepts the
+ * owner notification, then send the visitor confirmation through that
+ * same provider (best-effort).
+ * @param {Object} params - Sanitized fields, request meta, env and an optional logger
+ * @returns {Promise<{ok: boolean, provider?: string, error?: string, errors: Array<{provider: string, error: string}>}>}
+ */
+export async function deliverSubmission({ cleanName, cleanEmail, cleanSubject, cleanMessage, meta = {}, attachments = [], transcript = [], env = {}, log = getLogger(env, { step: "deliver" }) }) {
+  const config = resolveEmailConfig(env);
+  const messages = buildSubmissionMessages({ cleanName, cleanEmail, cleanSubject, cleanMessage, meta, attachments, transcript, config });
+  const chain = getProviderChain(env, log);
+  const errors = [];
+
+  if (chain.length === 0) {
+    log.error("No email provider is enabled and configured (check CONTACT_PROVIDERS)");
+    return { ok: false, error: "No email provider configured", errors };
+  }
+
+  for (const provider of chain) {
+    log.info("Starting email transmission", {
+      provider: provider.name,
+      from: config.FROM_EMAIL,
+      to: config.OWNER_EMAIL,
+      cc: config.CC_EMAILS,
+    });
+
+    // Owner notification (critical)
+    const ownerResult = await sendSafely(provider, messages.owner, log, "owner");
+    if (!ownerResult.ok) {
+      errors.push({ provider: provider.name, error: ownerResult.error || "Unknown error" });
+      continue;
+    }
+
+    // Sender confirmation (best-effort)
+    await sendSafely(provider, messages.sender, log, "sender");
+
+    return { ok: true, provider: provider.name, errors };
+  }
+
+  log.error("All email providers failed", { providers: chain.map((p) => p.name) });
+  return { ok: false, error: errors[errors.length - 1].error, errors };
+}
+
+// A provider that throws is treated like one that returned an error.
+// Each attempt is logged with its provider, outcome and duration.
+async function sendSafely(provider, message, log, kind) {
+  const elapsed = log.timer();
+  let result;
+  try {
+    result = await provider.send(message);
+  } catch (err) {
+    result = { ok: false, provider: provider.name, error: err.message };
+  }
+
+  const fields = { provider: provider.name, kind, status: result.status, durationMs: elapsed() };
+  if (result.ok) {
+    log.info(kind === "owner" ? "Owner notification sent" : "Sender confirmation sent", { ...fields, id: result.id });
+  } else if (kind === "owner") {
+    log.warn("Owner notification failed, trying next provider", { ...fields, error: result.error });
+  } else {
+    log.warn("Sender confirmation failed (non-critical)", { ...fields, error: result.error });
+  }
+  return result;
+}
@@ -0,0 +1,41 @@
+// ============================================
+// EMAIL RENDERING
+// ============================================
+// Entry point for building emails from the named templates in ./templates.js.
+
+import { htmlToText, render } from "./template.js";
+import { layout, partials } from "./layouts.js";
+import { DEFAULT_LOCALE, getStrings, resolveLocale } from "./locales.js";
+import { templates } from "./templates.js";
+
+export { escapeHtml, htmlToText, render } from "./template.js";
+export { resolveLocale, SUPPORTED_LOCALES } from "./locales.js";
+
+/**
+ * Render a named email template
+ * @param {String} name - Template name, e.g. "owner-notification"
+ * @param {Object} data - Template values (escaped on interpolation)
+ * @param {String} locale - Locale for translated strings (falls back to English)
+ * @returns {{subject: String, html: String, text: String}}
+ */
+export function renderEmail(name, data = {}, locale = DEFAULT_LOCALE) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const { layout: localizedLayout, ...t } = getStrings(name, resolveLocale(locale));
+  const values = {
+    year: new Date().getFullYear(),
+    lang: resolveLocale(locale),
+    ...template.layout,
+    ...localizedLayout,
+    ...data,
+    t,
+    styles: template.styles,
+  };
+  const html = render(layout, values, { ...partials, content: template.body });
+  return {
+    subject: render(template.subject, values),
+    html,
+    text: htmlToText(html),
+  };
+}
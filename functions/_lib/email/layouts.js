@@ -0,0 +1,99 @@
+// ============================================
+// SHARED EMAIL LAYOUT PARTIALS
+// ============================================
+// Branding shared by every email: document head, gradient header, footer.
+// Templates fill the slots through their data:
+//   title, heading, tagline, containerWidth, footerLead, year, lang
+// plus their own CSS ({{{styles}}}) and body ({{> content}}).
+
+export const layout = `<!DOCTYPE html>
+<html lang="{{lang}}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="X-UA-Compatible" content="IE=edge">
+  <title>{{title}}</title>
+  <!--[if mso]>
+  <style type="text/css">
+    body, table, td { font-family: 'Inter', Arial, sans-serif !important; }
+  </style>
+  <![endif]-->
+  <style>
+{{> base-styles}}
+{{{styles}}}
+  </style>
+</head>
+<body>
+  <table class="wrapper" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center">
+        <table class="container" width="100%" cellspacing="0" cellpadding="0" border="0" style="max-width: {{containerWidth}}px;">
+          <!-- Header -->
+          <tr>
+            <td class="header">
+              <h1>{{heading}}</h1>
+              <p>{{tagline}}</p>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td class="content">
+{{> content}}
+            </td>
+          </tr>
+          
+{{> footer}}
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+export const baseStyles = `    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #0a1628; background: linear-gradient(135deg, #e8f9ff 0%, #f3eeff 50%, #e6f6ff 100%); -webkit-font-smoothing: antialiased; }
+    img { border: 0; display: block; outline: none; text-decoration: none; -ms-interpolation-mode: bicubic; }
+    table { border-collapse: collapse; mso-table-lspace: 0; mso-table-rspace: 0; }
+    a { color: #00d4ff; text-decoration: none; font-weight: 500; }
+    a:hover { opacity: 0.85; }
+    
+    .wrapper { width: 100%; background: linear-gradient(135deg, #e8f9ff 0%, #f3eeff 50%, #e6f6ff 100%); padding: 20px; }
+    .container { max-width: 640px; margin: 0 auto; background: linear-gradient(180deg, rgba(255,255,255,0.98) 0%, rgba(240,248,255,0.95) 100%); border-radius: 12px; overflow: hidden; box-shadow: 0 10px 40px rgba(0, 180, 230, 0.15), 0 2px 8px rgba(0, 0, 0, 0.05); border: 1px solid rgba(0, 212, 255, 0.15); }
+    
+    .header { background: linear-gradient(135deg, #00d4ff 0%, #a78bfa 100%); padding: 48px 32px; text-align: center; color: #fff; position: relative; overflow: hidden; }
+    .header h1 { font-size: 36px; font-weight: 700; margin: 0 0 8px 0; line-height: 1.1; letter-spacing: -0.5px; }
+    .header p { font-size: 15px; opacity: 0.95; margin: 0; font-weight: 500; }
+    
+    .content { padding: 40px 32px; }
+    .section { margin-bottom: 32px; }
+    .section:last-child { margin-bottom: 0; }
+    .section-label { font-size: 11px; font-weight: 700; letter-spacing: 1px; color: #00bfff; text-transform: uppercase; margin-bottom: 12px; display: block; }
+    .message-box { background: rgba(167, 139, 250, 0.08); border-left: 3px solid #a78bfa; border-radius: 6px; padding: 14px; white-space: pre-wrap; word-wrap: break-word; word-break: break-word; font-size: 13px; line-height: 1.6; color: #2d3748; font-family: 'Roboto Mono', monospace; }
+    
+    .footer { background: linear-gradient(180deg, rgba(0, 212, 255, 0.05) 0%, rgba(167, 139, 250, 0.05) 100%); padding: 24px 32px; text-align: center; border-top: 1px solid rgba(0, 212, 255, 0.15); }
+    .footer-text { font-size: 12px; color: #4a5568; margin: 0 0 6px 0; }
+    .footer-link { color: #00d4ff; font-weight: 600; }
+    .footer-link:hover { opacity: 0.85; }
+    .copyright { font-size: 11px; color: #cbd5e0; margin-top: 8px; }
+    
+    @media only screen and (max-width: 640px) {
+      .container { border-radius: 0; }
+      .header { padding: 36px 20px; }
+      .header h1 { font-size: 28px; }
+      .content { padding: 24px 20px; }
+      .footer { padding: 20px; }
+    }`;
+
+export const footer = `          <!-- Footer -->
+          <tr>
+            <td class="footer">
+              <p class="footer-text">{{footerLead}} <a href="https://drthummar.me/" class="footer-link">drthummar.me</a></p>
+              <p class="copyright">&copy; {{year}} Dhruvil Thummar. All rights reserved.</p>
+            </td>
+          </tr>`;
+
+export const partials = {
+  "base-styles": baseStyles,
+  footer,
+};
@@ -0,0 +1,109 @@
+// ============================================
+// EMAIL TRANSLATIONS
+// ============================================
+// Per-template strings for every supported locale, exposed to templates as
+// {{t.<key>}}. The locales match the podcast languages on the site; missing
+// locales or keys fall back to English.
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = ["en", "hi", "gu"];
+
+export const strings = {
+  "sender-confirmation": {
+    en: {
+      layout: {
+        title: "Message Received - Dhruvil Thummar",
+        heading: "✓ Message Received",
+        tagline: "I'll be in touch shortly",
+        footerLead: "Sent from",
+      },
+      subject: "Thanks for connecting!",
+      greeting: "Hi",
+      intro: "Thank you for reaching out! Your message has been successfully received and I appreciate you taking the time to connect with me.",
+      yourMessage: "Your Message",
+      subjectLabel: "Subject",
+      messageLabel: "Message",
+      nextTitle: "What Happens Next",
+      next: [
+        "I'll review your message within 1-2 business days",
+        "You'll receive my response at this email address",
+        "Questions? Reply directly to this message",
+      ],
+      cta: "View My Portfolio",
+      connect: "Connect",
+    },
+    hi: {
+      layout: {
+        title: "संदेश प्राप्त हुआ - Dhruvil Thummar",
+        heading: "✓ संदेश प्राप्त हुआ",
+        tagline: "मैं जल्द ही आपसे संपर्क करूँगा",
+        footerLead: "प्रेषक:",
+      },
+      subject: "जुड़ने के लिए धन्यवाद!",
+      greeting: "नमस्ते",
+      intro: "संपर्क करने के लिए धन्यवाद! आपका संदेश सफलतापूर्वक प्राप्त हो गया है, और मुझसे जुड़ने के लिए समय निकालने की मैं सराहना करता हूँ।",
+      yourMessage: "आपका संदेश",
+      subjectLabel: "विषय",
+      messageLabel: "संदेश",
+      nextTitle: "आगे क्या होगा",
+      next: [
+        "मैं 1-2 कार्यदिवसों में आपका संदेश देखूँगा",
+        "मेरा जवाब आपको इसी ईमेल पते पर मिलेगा",
+        "कोई प्रश्न? सीधे इस संदेश का जवाब दें",
+      ],
+      cta: "मेरा पोर्टफोलियो देखें",
+      connect: "जुड़ें",
+    },
+    gu: {
+      layout: {
+        title: "સંદેશ મળ્યો - Dhruvil Thummar",
+        heading: "✓ સંદેશ મળ્યો",
+        tagline: "હું ટૂંક સમયમાં તમારો સંપર્ક કરીશ",
+        footerLead: "મોકલનાર:",
+      },
+      subject: "સંપર્ક કરવા બદલ આભાર!",
+      greeting: "નમસ્તે",
+      intro: "સંપર્ક કરવા બદલ આભાર! તમારો સંદેશ સફળતાપૂર્વક મળી ગયો છે, અને મારી સાથે જોડાવા માટે સમય કાઢવા બદલ હું તમારો આભારી છું.",
+      yourMessage: "તમારો સંદેશ",
+      subjectLabel: "વિષય",
+      messageLabel: "સંદેશ",
+      nextTitle: "હવે આગળ શું",
+      next: [
+        "હું 1-2 કાર્યકારી દિવસમાં તમારો સંદેશ જોઈશ",
+        "મારો જવાબ તમને આ જ ઇમેઇલ સરનામે મળશે",
+        "કોઈ પ્રશ્ન? આ સંદેશનો સીધો જવાબ આપો",
+      ],
+      cta: "મારો પોર્ટફોલિયો જુઓ",
+      connect: "જોડાઓ",
+    },
+  },
+};
+
+/**
+ * Map a requested locale (e.g. "gu-IN", "hi") to a supported one
+ * @param {*} value - Locale tag sent by the form
+ * @returns {String} Supported locale, or DEFAULT_LOCALE
+ */
+export function resolveLocale(value) {
+  if (typeof value !== "string") return DEFAULT_LOCALE;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Strings for one template in one locale, English filling any gaps
+ * @param {String} name - Template name
+ * @param {String} locale - Supported locale
+ * @returns {Object}
+ */
+export function getStrings(name, locale = DEFAULT_LOCALE) {
+  const table = strings[name];
+  if (!table) return {};
+  const fallback = table[DEFAULT_LOCALE] || {};
+  const localized = table[locale] || {};
+  return {
+    ...fallback,
+    ...localized,
+    layout: { ...fallback.layout, ...localized.layout },
+  };
+}
@@ -0,0 +1,131 @@
+// ============================================
+// EMAIL TEMPLATE ENGINE
+// ============================================
+// A deliberately small mustache-style renderer for the email templates:
+//
+//   {{name}}             escaped value (dotted paths like {{meta.clientIp}} work)
+//   {{subject | url}}    value passed through a filter before escaping
+//   {{{body}}}           raw, unescaped value (only for already-rendered HTML)
+//   {{> footer}}         include a named partial (rendered with the same data)
+//   {{#if ip}}…{{/if}}   keep the block only when the value is truthy
+//   {{#each items}}…{{/each}}  repeat the block per item; {{.}} is the item
+//
+// Plain-text bodies are derived from the rendered HTML with htmlToText(),
+// so the two versions can never drift apart.
+
+const FILTERS = {
+  url: (value) => encodeURIComponent(value),
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+};
+
+/**
+ * Escape text for safe interpolation into HTML
+ * @param {*} text
+ * @returns {String}
+ */
+export function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  }[c]));
+}
+
+/**
+ * Render a template string
+ * @param {String} template - Template source
+ * @param {Object} data - Values for {{placeholders}}
+ * @param {Object<string, string>} partials - Named partial templates
+ * @returns {String} Rendered HTML
+ */
+export function render(template, data = {}, partials = {}) {
+  let out = String(template);
+
+  // Partials first, so they may use every other construct
+  for (let depth = 0; depth < 5 && /{{>\s*[\w-]+\s*}}/.test(out); depth++) {
+    out = out.replace(/{{>\s*([\w-]+)\s*}}/g, (_, name) => {
+      if (!(name in partials)) throw new Error(`Unknown email partial: ${name}`);
+      return partials[name];
+    });
+  }
+
+  out = out.replace(/{{#each\s+([\w.]+)\s*}}([\s\S]*?){{\/each}}/g, (_, path, block) => {
+    const items = lookup(data, path);
+    if (!Array.isArray(items)) return "";
+    return items
+      .map((item) => render(block, { ...data, ".": item, ...(isPlainObject(item) ? item : {}) }, partials))
+      .join("");
+  });
+
+  out = out.replace(/{{#if\s+([\w.]+)\s*}}([\s\S]*?)(?:{{else}}([\s\S]*?))?{{\/if}}/g, (_, path, yes, no = "") =>
+    truthy(lookup(data, path)) ? yes : no,
+  );
+
+  // One pass for values, so substituted text is never scanned for tags again
+  out = out.replace(/{{{\s*([\w.]+)\s*}}}|{{\s*([\w.]+|\.)\s*(?:\|\s*(\w+)\s*)?}}/g, (_, rawPath, path, filter) => {
+    if (rawPath) return String(lookup(data, rawPath) ?? "");
+    let value = String(lookup(data, path) ?? "");
+    if (filter) {
+      if (!FILTERS[filter]) throw new Error(`Unknown email template filter: ${filter}`);
+      value = FILTERS[filter](value);
+    }
+    // Braces are encoded too, so visitor text can never turn into a tag
+    return escapeHtml(value).replace(/{/g, "&#123;").replace(/}/g, "&#125;");
+  });
+
+  return out;
+}
+
+/**
+ * Derive a readable plain-text version of an HTML email
+ * @param {String} html - Rendered HTML
+ * @returns {String}
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "").trim();
+      const url = decodeEntities(href).replace(/^mailto:/, "").split("?")[0];
+      return !text || text === url ? url : `${text} (${url})`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "• ")
+    .replace(/<\/(p|div|tr|h[1-6]|li|table)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .split("\n")
+    .map((line) => decodeEntities(line).replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function lookup(data, path) {
+  if (path === ".") return data["."];
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&copy;/g, "©")
+    .replace(/&#123;/g, "{")
+    .replace(/&#125;/g, "}")
+    .replace(/&amp;/g, "&");
+}
@@ -0,0 +1,187 @@
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Named templates rendered inside the shared layout (./layouts.js).
+// Every {{value}} is HTML-escaped by the engine (./template.js); the plain-text
+// version of each email is derived from its rendered HTML.
+//
+// Each template declares:
+// - subject: template for the Subject header (plain text, not escaped)
+// - layout: values for the layout slots (title, heading, tagline, ...);
+//   translated templates take theirs from ./locales.js instead
+// - styles: CSS added after the shared base styles
+// - body: markup placed inside the content cell
+//
+// Translated strings (./locales.js) are available as {{t.<key>}}.
+
+export const templates = {
+  // Sent to the site owner for every submission
+  "owner-notification": {
+    subject: "New Contact: {{{subject}}} — from {{{name}}}",
+    layout: {
+      title: "New Message - Dhruvil Thummar",
+      heading: "💬 New Message",
+      tagline: "Someone reached out through your contact form",
+      containerWidth: 700,
+      footerLead: "Automated notification from",
+    },
+    styles: `    .visitor-card { background: linear-gradient(135deg, rgba(0, 212, 255, 0.05) 0%, rgba(167, 139, 250, 0.05) 100%); border: 1px solid rgba(0, 212, 255, 0.2); border-radius: 8px; padding: 24px; }
+    .visitor-name { font-size: 20px; font-weight: 700; color: #0a1628; margin: 0 0 6px 0; letter-spacing: -0.3px; }
+    .visitor-email { font-size: 14px; color: #00d4ff; margin: 0; font-weight: 500; }
+    
+    .subject-section { margin: 28px 0; }
+    .subject-value { font-size: 18px; font-weight: 600; color: #0a1628; margin: 0; }
+    
+    .message-section { margin-top: 28px; }
+    .message-label { font-size: 12px; font-weight: 700; color: #00bfff; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 12px; }
+    
+    .meta-section { background: linear-gradient(135deg, rgba(0, 212, 255, 0.08) 0%, rgba(167, 139, 250, 0.08) 100%); border: 1px solid rgba(0, 212, 255, 0.15); padding: 18px; border-radius: 8px; margin-top: 28px; }
+    .meta-label { font-size: 11px; font-weight: 700; color: #00bfff; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 14px; }
+    .meta-item { font-size: 12px; color: #4a5568; margin-bottom: 10px; word-break: break-word; }
+    .meta-item strong { color: #0a1628; }
+    .meta-item:last-child { margin-bottom: 0; }
+    
+    .transcript-section { margin-top: 28px; }
+    .transcript-item { font-size: 13px; line-height: 1.6; color: #2d3748; padding: 10px 14px; border-radius: 6px; margin-bottom: 8px; white-space: pre-wrap; word-break: break-word; }
+    .transcript-item.user { background: rgba(0, 212, 255, 0.08); border-left: 3px solid #00d4ff; }
+    .transcript-item.assistant { background: rgba(167, 139, 250, 0.06); border-left: 3px solid #a78bfa; }
+    .transcript-speaker { display: block; font-size: 11px; font-weight: 700; color: #0a1628; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 2px; }
+    
+    .action-section { background: linear-gradient(135deg, #00d4ff 0%, #a78bfa 100%); color: #fff; padding: 24px; border-radius: 8px; margin-top: 28px; text-align: center; }
+    .action-title { font-weight: 700; font-size: 15px; margin-bottom: 16px; }
+    .action-link { display: inline-block; background: rgba(255, 255, 255, 0.15); color: #fff !important; padding: 12px 22px; border-radius: 6px; text-decoration: none !important; font-size: 13px; font-weight: 500; margin: 8px 6px 0 6px; transition: all 0.2s ease; }
+    .action-link:hover { background: rgba(255, 255, 255, 0.25); }
+    
+    @media only screen and (max-width: 640px) {
+      .action-link { display: block; width: calc(100% - 12px); margin: 8px 0; }
+    }`,
+    body: `              <!-- Visitor Card -->
+              <div class="section">
+                <div class="visitor-card">
+                  <p class="visitor-name">{{name}}</p>
+                  <p class="visitor-email"><a href="mailto:{{email}}">{{email}}</a></p>
+                </div>
+              </div>
+              
+              <!-- Subject -->
+              <div class="subject-section">
+                <span class="section-label">Subject</span>
+                <p class="subject-value">{{subject}}</p>
+              </div>
+              
+              <!-- Message -->
+              <div class="message-section">
+                <div class="message-label">Message</div>
+                <div class="message-box">{{message}}</div>
+              </div>
+              
+              <!-- Submission Meta -->
+              <div class="meta-section">
+                <div class="meta-label">Submission Details</div>
+                <div class="meta-item"><strong>Received:</strong> {{receivedTime}}</div>
+                <div class="meta-item"><strong>Language:</strong> {{locale | upper}}</div>
+                <div class="meta-item"><strong>IP Address:</strong> {{meta.clientIp}}</div>
+                <div class="meta-item"><strong>Source:</strong> {{meta.referer}}</div>
+                <div class="meta-item"><strong>User Agent:</strong> {{meta.userAgent}}</div>
+              </div>
+              {{#if attachments}}
+              <!-- Attachments -->
+              <div class="meta-section">
+                <div class="meta-label">Attachments</div>
+                {{#each attachments}}<div class="meta-item">📎 <strong>{{filename}}</strong> ({{size}})</div>
+                {{/each}}
+              </div>
+              {{/if}}
+              {{#if transcript}}
+              <!-- Chatbot transcript -->
+              <div class="transcript-section">
+                <span class="section-label">Chat with Info-Byte</span>
+                {{#each transcript}}<div class="transcript-item {{role}}"><span class="transcript-speaker">{{speaker}}</span>{{content}}</div>
+                {{/each}}
+              </div>
+              {{/if}}
+              
+              <!-- Actions -->
+              <div class="action-section">
+                <div class="action-title">Quick Actions</div>
+                <a href="mailto:{{email}}?subject=Re: {{subject | url}}" class="action-link">Reply to Email</a>
+                <a href="https://drthummar.me/" class="action-link">View Portfolio</a>
+              </div>`,
+  },
+
+  // Sent to the visitor as a receipt (best-effort)
+  "sender-confirmation": {
+    subject: "{{{t.subject}}} — {{{subject}}}",
+    layout: {
+      containerWidth: 640,
+    },
+    styles: `    .greeting { margin-bottom: 28px; }
+    .greeting p { font-size: 15px; line-height: 1.7; color: #4a5568; margin: 0 0 12px 0; }
+    .greeting strong { color: #0a1628; font-weight: 600; }
+    
+    .submission-box { background: linear-gradient(135deg, rgba(0, 212, 255, 0.05) 0%, rgba(167, 139, 250, 0.05) 100%); border-left: 3px solid #00d4ff; border-radius: 6px; padding: 16px; }
+    .submission-field { margin-bottom: 14px; }
+    .submission-field:last-child { margin-bottom: 0; }
+    .submission-label { font-size: 12px; font-weight: 700; color: #00bfff; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px; }
+    .submission-value { font-size: 14px; color: #0a1628; word-break: break-word; line-height: 1.6; }
+    .message-box { border-radius: 4px; }
+    
+    .timeline { background: linear-gradient(135deg, rgba(0, 212, 255, 0.08) 0%, rgba(167, 139, 250, 0.08) 100%); border: 1px solid rgba(0, 212, 255, 0.15); padding: 20px; border-radius: 8px; margin: 28px 0; }
+    .timeline-title { font-weight: 700; color: #0a1628; font-size: 14px; margin-bottom: 14px; letter-spacing: -0.3px; }
+    .timeline-item { font-size: 13px; color: #4a5568; margin-bottom: 8px; display: flex; }
+    .timeline-icon { margin-right: 12px; min-width: 16px; color: #00d4ff; font-weight: bold; }
+    
+    .cta-section { margin: 32px 0; text-align: center; }
+    .cta-btn { display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #00d4ff 0%, #a78bfa 100%); color: #fff !important; text-decoration: none !important; border-radius: 8px; font-weight: 600; font-size: 14px; border: 0; cursor: pointer; box-shadow: 0 4px 16px rgba(0, 212, 255, 0.25); transition: all 0.2s ease; }
+    .cta-btn:hover { transform: translateY(-2px); box-shadow: 0 6px 24px rgba(0, 212, 255, 0.35); }
+    
+    .social-section { text-align: center; margin-top: 28px; padding-top: 28px; border-top: 1px solid rgba(0, 212, 255, 0.15); }
+    .social-title { font-size: 11px; font-weight: 700; color: #00bfff; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 16px; }
+    .social-links { display: flex; gap: 10px; justify-content: center; flex-wrap: wrap; }
+    .social-link { display: inline-flex; align-items: center; justify-content: center; width: 40px; height: 40px; background: linear-gradient(135deg, rgba(0, 212, 255, 0.1) 0%, rgba(167, 139, 250, 0.1) 100%); border: 1px solid rgba(0, 212, 255, 0.2); border-radius: 8px; text-decoration: none; font-size: 16px; transition: all 0.2s ease; }
+    .social-link:hover { background: linear-gradient(135deg, #00d4ff 0%, #a78bfa 100%); border-color: transparent; transform: translateY(-2px); color: #fff; }
+    
+    @media only screen and (max-width: 640px) {
+      .cta-btn { display: block; width: 100%; margin: 0; }
+      .social-links { gap: 8px; }
+    }`,
+    body: `              <div class="greeting">
+                <p>{{t.greeting}} <strong>{{firstName}}</strong>,</p>
+                <p>{{t.intro}}</p>
+              </div>
+              
+              <div class="section">
+                <span class="section-label">{{t.yourMessage}}</span>
+                <div class="submission-box">
+                  <div class="submission-field">
+                    <div class="submission-label">{{t.subjectLabel}}</div>
+                    <div class="submission-value">{{subject}}</div>
+                  </div>
+                  <div class="submission-field">
+                    <div class="submission-label">{{t.messageLabel}}</div>
+                    <div class="message-box">{{message}}</div>
+                  </div>
+                </div>
+              </div>
+              
+              <div class="timeline">
+                <div class="timeline-title">{{t.nextTitle}}</div>
+                {{#each t.next}}<div class="timeline-item"><span class="timeline-icon">→</span> <span>{{.}}</span></div>
+                {{/each}}
+              </div>
+              
+              <div class="cta-section">
+                <a href="https://drthummar.me/" class="cta-btn">{{t.cta}}</a>
+              </div>
+              
+              <div class="social-section">
+                <div class="social-title">{{t.connect}}</div>
+                <div class="social-links">
+                  <a href="https://github.com/DhruvilThummar" class="social-link" title="GitHub">💻</a>
+                  <a href="https://www.linkedin.com/in/dhruvil-thummar-54422731a" class="social-link" title="LinkedIn">💼</a>
+                  <a href="https://www.instagram.com/dhruvil_thummar_" class="social-link" title="Instagram">📷</a>
+                  <a href="https://drthummar.me/" class="social-link" title="Portfolio">🌐</a>
+                </div>
+              </div>`,
+  },
+};
@@ -0,0 +1,146 @@
+// ============================================
+// GITHUB REPOSITORY STATS
+// ============================================
+// Fetches stars, forks, primary language, last push date and topics for the
+// repositories linked from content/projects.json, and caches them in KV so
+// page views do not spend the GitHub API rate limit (60 requests/hour
+// unauthenticated, 5000 with a token).
+//
+// A cached entry is fresh for GITHUB_CACHE_TTL seconds. Stale entries are
+// kept for a week and served (marked stale) when GitHub is down or rate
+// limited.
+//
+// BINDINGS:
+// - GITHUB_CACHE: (optional) KV namespace for cached stats (in-memory if unbound)
+//
+// ENVIRONMENT VARIABLES:
+// - GITHUB_TOKEN: (optional) token for the 5000 requests/hour limit; no scopes needed
+// - GITHUB_CACHE_TTL: (optional) seconds a cached entry is fresh, default 3600
+// - GITHUB_API_URL: (optional) API base URL, default https://api.github.com
+
+import { MemoryKV } from "./memory-kv.js";
+
+export const DEFAULT_GITHUB_API_URL = "https://api.github.com";
+export const DEFAULT_GITHUB_CACHE_TTL = 3600;
+
+const CACHE_PREFIX = "github:repo:";
+// How long an entry survives in KV at all (stale copies included)
+const CACHE_RETENTION_SECONDS = 7 * 86400;
+const REQUEST_TIMEOUT_MS = 8000;
+
+let fallbackStore;
+
+/**
+ * Resolve the stats cache from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} KV namespace (or in-memory stand-in)
+ */
+export function getGitHubCache(env = {}) {
+  if (env.GITHUB_CACHE) return env.GITHUB_CACHE;
+  if (!fallbackStore) {
+    console.warn("⚠️ GITHUB_CACHE binding missing, caching repository stats in memory (per isolate only)");
+    fallbackStore = new MemoryKV();
+  }
+  return fallbackStore;
+}
+
+/**
+ * Extract owner/repo from a GitHub repository URL
+ * @param {String} url - e.g. https://github.com/DhruvilThummar/BUS-IQ.git
+ * @returns {{owner: String, repo: String, key: String}|null} key is lower-case "owner/repo"
+ */
+export function parseGitHubRepo(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    if (hostname !== "github.com" && hostname !== "www.github.com") return null;
+    const [owner, rawRepo] = pathname.split("/").filter(Boolean);
+    const repo = rawRepo?.replace(/\.git$/, "");
+    if (!owner || !repo) return null;
+    return { owner, repo, key: `${owner}/${repo}`.toLowerCase() };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduce a GitHub "get a repository" response to the fields the site shows
+ * @param {Object} data - https://docs.github.com/rest/repos/repos#get-a-repository
+ * @returns {{name: String, url: String, stars: Number, forks: Number, language: String|null, pushedAt: String, topics: String[], archived: Boolean}}
+ */
+export function toRepoStats(data) {
+  return {
+    name: data.full_name,
+    url: data.html_url,
+    stars: data.stargazers_count ?? 0,
+    forks: data.forks_count ?? 0,
+    language: data.language || null,
+    pushedAt: data.pushed_at,
+    topics: Array.isArray(data.topics) ? data.topics : [],
+    archived: Boolean(data.archived),
+  };
+}
+
+/**
+ * Fetch one repository from the GitHub API
+ * @param {{owner: String, repo: String}} repo
+ * @param {Object} env - Pages environment bindings
+ * @returns {Promise<Object>} Stats (see toRepoStats)
+ * @throws {Error} With `status` set to the GitHub HTTP status when the request fails
+ */
+export async function fetchRepoStats({ owner, repo }, env = {}) {
+  const base = (env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL).replace(/\/$/, "");
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "X-GitHub-Api-Version": "2022-11-28",
+    // GitHub rejects requests without a User-Agent
+    "User-Agent": "drthummar.me-portfolio",
+  };
+  if (env.GITHUB_TOKEN) headers.Authorization = `Bearer ${env.GITHUB_TOKEN}`;
+
+  const response = await fetch(`${base}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`, {
+    headers,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const limited = response.status === 403 && response.headers.get("x-ratelimit-remaining") === "0";
+    const err = new Error(limited ? "GitHub API rate limit exceeded" : body.message || `GitHub API returned ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  return toRepoStats(await response.json());
+}
+
+/**
+ * Stats for one repository, from cache when fresh
+ * @param {{owner: String, repo: String, key: String}} repo - From parseGitHubRepo
+ * @param {Object} env - Pages environment bindings
+ * @param {Object} options
+ * @param {Object} options.log - Logger (see ./logger.js)
+ * @param {Number} options.now - Current time in ms (for tests)
+ * @returns {Promise<{stats: Object|null, cached: Boolean, stale: Boolean, error?: String}>}
+ */
+export async function getRepoStats(repo, env = {}, { log, now = Date.now() } = {}) {
+  const cache = getGitHubCache(env);
+  const cacheKey = `${CACHE_PREFIX}${repo.key}`;
+  const ttl = Number(env.GITHUB_CACHE_TTL) > 0 ? Number(env.GITHUB_CACHE_TTL) : DEFAULT_GITHUB_CACHE_TTL;
+
+  const cached = await cache.get(cacheKey, "json").catch(() => null);
+  if (cached && now - cached.fetchedAt < ttl * 1000) {
+    return { stats: cached.stats, cached: true, stale: false };
+  }
+
+  try {
+    const stats = await fetchRepoStats(repo, env);
+    await cache
+      .put(cacheKey, JSON.stringify({ stats, fetchedAt: now }), { expirationTtl: CACHE_RETENTION_SECONDS })
+      .catch((err) => log?.warn("Could not cache repository stats", { repo: repo.key, error: err }));
+    return { stats, cached: false, stale: false };
+  } catch (err) {
+    log?.warn("GitHub request failed", { repo: repo.key, status: err.status, error: err });
+    if (cached) return { stats: cached.stats, cached: true, stale: true };
+    return { stats: null, cached: false, stale: false, error: err.message };
+  }
+}
@@ -0,0 +1,82 @@
+// ============================================
+// SHARED HTTP HELPERS
+// ============================================
+// Response helpers shared by the /api/* Pages Functions.
+// Access-Control-Allow-Origin is added per request by functions/api/_middleware.js
+// from the origin allow-list (see ./cors.js).
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Expose-Headers": "Retry-After, X-Request-ID",
+};
+
+/**
+ * Create JSON response with proper headers and status code
+ * @param {Object} obj - Response object to serialize
+ * @param {Number} status - HTTP status code (default: 200)
+ * @param {Object} extraHeaders - Additional headers to merge in
+ * @returns {Response} JSON response with CORS headers
+ */
+export function json(obj, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      ...CORS_HEADERS,
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...extraHeaders,
+    },
+  });
+}
+
+/**
+ * Server-sent events response with the same CORS headers as json()
+ * @param {ReadableStream} body - Encoded events (see ./sse.js)
+ * @param {Object} extraHeaders - Additional headers to merge in
+ * @returns {Response}
+ */
+export function eventStream(body, extraHeaders = {}) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "content-type": "text/event-stream; charset=utf-8",
+      ...CORS_HEADERS,
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...extraHeaders,
+    },
+  });
+}
+
+/**
+ * Empty 204 response for CORS preflight requests
+ * @returns {Response}
+ */
+export function preflight() {
+  return new Response(null, { status: 204, headers: { ...CORS_HEADERS } });
+}
+
+/**
+ * Client IP as reported by Cloudflare (or a proxy in local development)
+ * @param {Request} request
+ * @returns {String} "unknown" when no header is present
+ */
+export function getClientIp(request) {
+  return request?.headers?.get("cf-connecting-ip")
+    || request?.headers?.get("x-forwarded-for")?.split(",")[0]?.trim()
+    || "unknown";
+}
+
+/**
+ * Parse a positive integer query/env value, clamped to [min, max]
+ * @param {*} value - Raw value
+ * @param {Number} fallback - Used when the value is missing or not a number
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ */
+export function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
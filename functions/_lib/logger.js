@@ -0,0 +1,93 @@
+// ============================================
+// STRUCTURED LOGGER
+// ============================================
+// Emits one JSON object per event so Pages/Workers logs can be filtered:
+//
+//   {"ts":"…","level":"warn","requestId":"…","step":"deliver","provider":"resend",
+//    "durationMs":412,"msg":"Owner notification failed","error":"…"}
+//
+// Email addresses and IP addresses are redacted from every line before it is
+// written (the domain of an email is kept, it helps when debugging delivery).
+//
+// ENVIRONMENT VARIABLES:
+// - LOG_LEVEL: (optional) debug | info | warn | error, default info
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@([A-Z0-9.-]+\.[A-Z]{2,})/gi;
+const IPV4_PATTERN = /\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g;
+// Full form, or compressed with "::" (clock times like 12:41:37 are left alone)
+const IPV6_PATTERN = /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|(?:\b[0-9a-f]{1,4})?(?::[0-9a-f]{1,4})*::(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*\b)?/gi;
+
+/**
+ * New per-request correlation ID
+ * @returns {String}
+ */
+export function createRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Mask email and IP addresses in a string
+ * @param {String} text
+ * @returns {String}
+ */
+export function redact(text) {
+  return String(text)
+    .replace(EMAIL_PATTERN, "***@$1")
+    .replace(IPV4_PATTERN, "[ip]")
+    .replace(IPV6_PATTERN, (match) => (match.length > 2 ? "[ip]" : match));
+}
+
+/**
+ * Create a logger whose every line carries the given fields
+ * @param {Object} fields - Context such as { requestId, route }
+ * @param {Object} options
+ * @param {String} options.level - Minimum level to emit (default: env LOG_LEVEL or "info")
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function, timer: Function}}
+ */
+export function createLogger(fields = {}, { level = "info" } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const write = (lvl, msg, extra = {}) => {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { ts: new Date().toISOString(), level: lvl, ...fields, msg, ...extra };
+    if (extra.error instanceof Error) entry.error = extra.error.message;
+    const line = redact(JSON.stringify(entry));
+    if (lvl === "error") console.error(line);
+    else if (lvl === "warn") console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+
+    /**
+     * Logger with additional fixed fields (e.g. { step: "deliver" })
+     * @param {Object} more
+     */
+    child: (more) => createLogger({ ...fields, ...more }, { level }),
+
+    /**
+     * Start a stopwatch; call the result to get elapsed milliseconds
+     * @returns {() => Number}
+     */
+    timer: () => {
+      const start = Date.now();
+      return () => Date.now() - start;
+    },
+  };
+}
+
+/**
+ * Logger configured from the environment
+ * @param {Object} env - Pages environment bindings
+ * @param {Object} fields - Context fields for every line
+ * @returns {Object} Logger
+ */
+export function getLogger(env = {}, fields = {}) {
+  return createLogger(fields, { level: (env.LOG_LEVEL || env.log_level || "info").toLowerCase() });
+}
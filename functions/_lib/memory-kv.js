@@ -0,0 +1,85 @@
+// ============================================
+// IN-MEMORY KV STAND-IN
+// ============================================
+// Implements the subset of the Workers KV API used by the contact function
+// (get / put / delete / list with metadata) so it can run without a real
+// KV binding, e.g. under `wrangler pages dev` or in tests.
+// Data lives for the lifetime of the isolate only.
+
+const MAX_METADATA_BYTES = 1024;
+
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {String} key
+   * @param {String|{type: String}} options - "text" (default) or "json"
+   * @returns {Promise<*>} Stored value or null
+   */
+  async get(key, options) {
+    const entry = this.#live(key);
+    if (!entry) return null;
+    const type = typeof options === "string" ? options : options?.type;
+    return type === "json" ? JSON.parse(entry.value) : entry.value;
+  }
+
+  /**
+   * @param {String} key
+   * @param {String} value
+   * @param {{metadata?: Object, expirationTtl?: Number}} options
+   */
+  async put(key, value, options = {}) {
+    // Same limit as Workers KV, so tests catch oversized metadata
+    const metadataBytes = new TextEncoder().encode(JSON.stringify(options.metadata ?? null)).length;
+    if (metadataBytes > MAX_METADATA_BYTES) {
+      throw new Error(`KV put() failed: metadata is ${metadataBytes} bytes, the limit is ${MAX_METADATA_BYTES}`);
+    }
+    const expiration = options.expirationTtl
+      ? Math.floor(Date.now() / 1000) + options.expirationTtl
+      : undefined;
+    this.entries.set(key, {
+      value: String(value),
+      metadata: options.metadata ?? null,
+      expiration,
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * List keys in lexicographic order
+   * @param {{prefix?: String, limit?: Number, cursor?: String}} options
+   * @returns {Promise<{keys: Array, list_complete: Boolean, cursor?: String}>}
+   */
+  async list({ prefix = "", limit = 1000, cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter((name) => name.startsWith(prefix) && this.#live(name))
+      .sort();
+    const start = cursor ? Number(cursor) : 0;
+    const page = names.slice(start, start + limit);
+    const end = start + page.length;
+    const complete = end >= names.length;
+    return {
+      keys: page.map((name) => {
+        const { metadata, expiration } = this.entries.get(name);
+        return { name, metadata, ...(expiration ? { expiration } : {}) };
+      }),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: String(end) }),
+    };
+  }
+
+  #live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiration && entry.expiration <= Date.now() / 1000) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+}
@@ -0,0 +1,106 @@
+// ============================================
+// EMAIL PROVIDER REGISTRY
+// ============================================
+// Every provider is created by a factory `(env) => provider` where provider is:
+//   {
+//     name: string,
+//     isConfigured(): boolean,
+//     send(message): Promise<{ok, provider, id?, status?, error?}>
+//   }
+// and message is the normalized shape
+//   { from, fromName?, to, cc?, replyTo?, subject, html, text,
+//     attachments?: [{ filename, contentType, content (base64) }] }.
+// Providers do not log; the delivery layer logs every attempt with its
+// outcome and duration (see ../delivery.js).
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_PROVIDERS: (optional) comma-separated order, default "resend,mailchannels"
+//
+// New providers (or fakes in tests) only need registerProvider(); the
+// handler just walks whatever chain getProviderChain() returns.
+
+import { getLogger } from "../logger.js";
+import { createMailChannelsProvider } from "./mailchannels.js";
+import { createResendProvider } from "./resend.js";
+import { createSmtpRelayProvider } from "./smtp-relay.js";
+
+export const DEFAULT_PROVIDER_ORDER = ["resend", "mailchannels"];
+
+const registry = new Map([
+  ["resend", createResendProvider],
+  ["mailchannels", createMailChannelsProvider],
+  ["smtp-relay", createSmtpRelayProvider],
+]);
+
+/**
+ * Register (or replace) a provider factory
+ * @param {String} name - Name used in CONTACT_PROVIDERS
+ * @param {Function} factory - (env) => provider
+ */
+export function registerProvider(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Remove a provider factory
+ * @param {String} name
+ */
+export function unregisterProvider(name) {
+  registry.delete(name);
+}
+
+/**
+ * Describe every registered provider for diagnostics (no sending)
+ * @param {Object} env - Pages environment bindings
+ * @returns {Array<{name: String, registered: boolean, enabled: boolean, position: Number|null, configured: boolean}>}
+ */
+export function describeProviders(env = {}) {
+  const order = getProviderOrder(env);
+  const names = [...new Set([...order, ...registry.keys()])];
+  return names.map((name) => {
+    const factory = registry.get(name);
+    const index = order.indexOf(name);
+    return {
+      name,
+      registered: Boolean(factory),
+      enabled: index !== -1,
+      position: index === -1 ? null : index + 1,
+      configured: factory ? factory(env).isConfigured() : false,
+    };
+  });
+}
+
+/**
+ * Parse CONTACT_PROVIDERS into an ordered list of names
+ * @param {Object} env - Pages environment bindings
+ * @returns {String[]}
+ */
+export function getProviderOrder(env = {}) {
+  const raw = env.CONTACT_PROVIDERS || env.contact_providers;
+  if (!raw) return [...DEFAULT_PROVIDER_ORDER];
+  return [...new Set(raw.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Build the ordered chain of enabled, configured providers
+ * @param {Object} env - Pages environment bindings
+ * @param {Object} log - Logger (see ../logger.js)
+ * @returns {Object[]} Providers, in the order they should be tried
+ */
+export function getProviderChain(env = {}, log = getLogger(env)) {
+  const chain = [];
+  for (const name of getProviderOrder(env)) {
+    const factory = registry.get(name);
+    if (!factory) {
+      log.warn("Unknown email provider in CONTACT_PROVIDERS, skipping", { provider: name });
+      continue;
+    }
+    const provider = factory(env);
+    if (provider.isConfigured()) {
+      chain.push(provider);
+    } else {
+      log.info("Email provider not configured, skipping", { provider: name });
+    }
+  }
+  return chain;
+}
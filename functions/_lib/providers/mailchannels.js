@@ -0,0 +1,102 @@
+// ============================================
+// MAILCHANNELS PROVIDER
+// ============================================
+// Free sending from Cloudflare; CONTACT_FROM must be on a domain whose SPF
+// record includes relay.mailchannels.net.
+
+const MAILCHANNELS_ENDPOINT = "https://api.mailchannels.net/tx/v1/send";
+
+/**
+ * Check that a sender address has a domain MailChannels can send from
+ * @param {String} from - Sender email
+ * @returns {{ok: boolean, domain?: string, error?: string}}
+ */
+export function validateSenderDomain(from) {
+  if (!from) {
+    return { ok: false, error: "Sender email not configured" };
+  }
+  const domain = from.split("@")[1];
+  if (!domain || domain === "localhost" || domain.includes("127.0.0.1")) {
+    return { ok: false, domain, error: "Invalid sender email domain" };
+  }
+  return { ok: true, domain };
+}
+
+/**
+ * @returns {Object} Email provider
+ */
+export function createMailChannelsProvider() {
+  return {
+    name: "mailchannels",
+
+    // No credentials needed; sender domain is checked per message
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Send one message via the MailChannels API
+     * @param {Object} message - Normalized email message
+     * @returns {Promise<{ok: boolean, provider: string, status?: number, error?: string}>}
+     */
+    async send(message) {
+      const sender = validateSenderDomain(message.from);
+      if (!sender.ok) {
+        return { ok: false, provider: "mailchannels", status: 0, error: sender.error };
+      }
+
+      try {
+        // Build recipients list
+        const recipients = [].concat(message.to, message.cc || []).map((email) => ({ email }));
+
+        const payload = {
+          personalizations: [
+            {
+              to: recipients,
+              ...(message.replyTo ? { reply_to: { email: message.replyTo } } : {}),
+            },
+          ],
+          from: { email: message.from, ...(message.fromName ? { name: message.fromName } : {}) },
+          subject: message.subject,
+          content: [
+            { type: "text/plain", value: message.text },
+            { type: "text/html", value: message.html },
+          ],
+          ...(message.attachments?.length
+            ? {
+                attachments: message.attachments.map((file) => ({
+                  type: file.contentType,
+                  filename: file.filename,
+                  content: file.content,
+                })),
+              }
+            : {}),
+        };
+
+        const response = await fetch(MAILCHANNELS_ENDPOINT, {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            "X-Slack-No-Retry": "1",
+          },
+          body: JSON.stringify(payload),
+        });
+
+        const responseBody = await response.text().catch(() => "");
+
+        if (!response.ok) {
+          return {
+            ok: false,
+            provider: "mailchannels",
+            status: response.status,
+            error: `Email service error: ${response.statusText || response.status}${responseBody ? ` — ${responseBody}` : ""}`,
+          };
+        }
+
+        return { ok: true, provider: "mailchannels", status: response.status };
+      } catch (err) {
+        return { ok: false, provider: "mailchannels", status: 0, error: err.message };
+      }
+    },
+  };
+}
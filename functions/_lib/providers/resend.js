@@ -0,0 +1,77 @@
+// ============================================
+// RESEND PROVIDER
+// ============================================
+// https://resend.com — needs RESEND_API_KEY, no DNS setup.
+
+const RESEND_ENDPOINT = "https://api.resend.com/emails";
+
+/**
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} Email provider
+ */
+export function createResendProvider(env = {}) {
+  const apiKey = env.RESEND_API_KEY || env.resend_api_key;
+
+  return {
+    name: "resend",
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    /**
+     * Send one message via the Resend API
+     * @param {Object} message - Normalized email message
+     * @returns {Promise<{ok: boolean, provider: string, id?: string, status?: number, error?: string}>}
+     */
+    async send(message) {
+      try {
+        const payload = {
+          from: message.fromName ? `${message.fromName} <${message.from}>` : message.from,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+        };
+
+        if (message.cc?.length) payload.cc = message.cc;
+        if (message.text) payload.text = message.text;
+        if (message.replyTo) payload.reply_to = message.replyTo;
+        if (message.attachments?.length) {
+          payload.attachments = message.attachments.map((file) => ({
+            filename: file.filename,
+            content: file.content,
+            content_type: file.contentType,
+          }));
+        }
+
+        const response = await fetch(RESEND_ENDPOINT, {
+          method: "POST",
+          headers: {
+            "Authorization": `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(payload),
+        });
+
+        const responseText = await response.text();
+
+        // Try to parse response as JSON
+        let data = {};
+        try {
+          data = JSON.parse(responseText);
+        } catch {
+          // Non-JSON body; the raw text is used as the error below
+        }
+
+        if (!response.ok) {
+          const errorMsg = data.message || data.error || responseText || response.statusText;
+          return { ok: false, provider: "resend", status: response.status, error: errorMsg };
+        }
+
+        return { ok: true, provider: "resend", status: response.status, id: data.id };
+      } catch (err) {
+        return { ok: false, provider: "resend", status: 0, error: err.message };
+      }
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// ============================================
+// SMTP RELAY PROVIDER
+// ============================================
+// Posts the message as JSON to an HTTP-to-SMTP relay you run yourself
+// (Workers cannot open raw SMTP connections).
+//
+// ENVIRONMENT VARIABLES:
+// - SMTP_RELAY_URL: relay endpoint accepting {from, to, cc, replyTo, subject, text, html, attachments}
+// - SMTP_RELAY_TOKEN: (optional) sent as a bearer token
+
+/**
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} Email provider
+ */
+export function createSmtpRelayProvider(env = {}) {
+  const url = env.SMTP_RELAY_URL || env.smtp_relay_url;
+  const token = env.SMTP_RELAY_TOKEN || env.smtp_relay_token;
+
+  return {
+    name: "smtp-relay",
+
+    isConfigured() {
+      return Boolean(url);
+    },
+
+    /**
+     * Send one message through the relay
+     * @param {Object} message - Normalized email message
+     * @returns {Promise<{ok: boolean, provider: string, status?: number, error?: string}>}
+     */
+    async send(message) {
+      try {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            ...(token ? { "Authorization": `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify(message),
+        });
+
+        if (!response.ok) {
+          const responseBody = await response.text().catch(() => "");
+          return { ok: false, provider: "smtp-relay", status: response.status, error: responseBody || response.statusText };
+        }
+
+        return { ok: true, provider: "smtp-relay", status: response.status };
+      } catch (err) {
+        return { ok: false, provider: "smtp-relay", status: 0, error: err.message };
+      }
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// ============================================
+// SLIDING-WINDOW RATE LIMITER
+// ============================================
+// Throttles contact submissions per client IP and per submitter email, and
+// chatbot messages per client IP (functions/api/chat.js).
+// Each subject keeps a log of recent request times in KV; a request is
+// allowed only if every configured window still has room.
+//
+// BINDINGS:
+// - CONTACT_RATE_LIMIT: (optional) KV namespace for the logs (in-memory if unbound)
+// - CHAT_RATE_LIMIT: (optional) same, for the chatbot
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_RATE_LIMITS: (optional) comma-separated "<count>/<window>" rules,
+//   window units s/m/h/d, default "5/1h,20/1d"
+// - RATE_LIMIT_SECRET: (optional) HMAC key for the log keys
+//
+// Subjects (IPs, emails) never reach KV as such: log keys are an HMAC of the
+// subject under RATE_LIMIT_SECRET or, without it, under the day's random salt
+// (functions/_lib/daily-salt.js), so a key cannot be reversed by hashing every
+// IPv4 address. Salted keys change at UTC midnight; yesterday's is read too,
+// so windows of up to a day hold across it. Longer windows need the secret.
+
+import { getDailySalt } from "./daily-salt.js";
+import { getLogger } from "./logger.js";
+import { MemoryKV } from "./memory-kv.js";
+
+export const DEFAULT_RATE_LIMITS = "5/1h,20/1d";
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+// Workers KV rejects expirationTtl below 60 seconds
+const MIN_KV_TTL = 60;
+
+const fallbackStores = new Map();
+
+/**
+ * Resolve the rate-limit store from the environment
+ * @param {Object} env - Pages environment bindings
+ * @param {String} binding - KV binding name (default CONTACT_RATE_LIMIT)
+ * @returns {Object} KV namespace (or in-memory stand-in)
+ */
+export function getRateLimitStore(env = {}, binding = "CONTACT_RATE_LIMIT") {
+  if (env[binding]) return env[binding];
+  if (!fallbackStores.has(binding)) {
+    console.warn(`⚠️ ${binding} binding missing, using in-memory rate limits (per isolate only)`);
+    fallbackStores.set(binding, new MemoryKV());
+  }
+  return fallbackStores.get(binding);
+}
+
+/**
+ * Parse rate-limit rules, e.g. "5/1h,20/1d". A spec without a single valid
+ * rule falls back (with a warning) instead of lifting every limit.
+ * @param {String} spec - Usually an environment variable; unset uses the fallback
+ * @param {{fallback?: String, log?: Object}} options - fallback: rules used instead of spec
+ * @returns {Array<{limit: Number, windowSeconds: Number}>}
+ */
+export function parseRateLimits(spec, { fallback = DEFAULT_RATE_LIMITS, log = getLogger() } = {}) {
+  if (spec) {
+    const rules = parseRules(spec);
+    if (rules.length) return rules;
+    log.warn("No valid rate-limit rule, using the defaults", { rules: String(spec), fallback });
+  }
+  return parseRules(fallback);
+}
+
+/**
+ * Check (and, when allowed, record) a submission against every subject
+ * @param {Object} store - KV namespace
+ * @param {String[]} subjects - Keys to limit on, e.g. ["ip:1.2.3.4", "email:a@b.c"]
+ * @param {{rules: Array, now?: Number, secret?: String}} options - secret: RATE_LIMIT_SECRET
+ * @returns {Promise<{allowed: boolean, retryAfter?: Number, subject?: String, rule?: Object}>}
+ */
+export async function consumeRateLimit(store, subjects, { rules, now = Date.now(), secret }) {
+  if (!rules.length || !subjects.length) return { allowed: true };
+  const longestWindow = Math.max(...rules.map((r) => r.windowSeconds));
+  const hmacKeys = await getHmacKeys(store, now, secret);
+
+  const logs = [];
+  for (const subject of subjects) {
+    const [key, ...olderKeys] = await Promise.all(hmacKeys.map(async (k) => `rl:${await hashKey(k, subject)}`));
+    const stored = [];
+    const moved = [];
+    for (const name of [key, ...olderKeys]) {
+      const times = await store.get(name, { type: "json" });
+      if (!times) continue;
+      stored.push(...times);
+      if (name !== key) moved.push(name);
+    }
+    const recent = stored.filter((t) => t > now - longestWindow * 1000).sort((a, b) => a - b);
+
+    for (const rule of rules) {
+      const inWindow = recent.filter((t) => t > now - rule.windowSeconds * 1000);
+      if (inWindow.length >= rule.limit) {
+        const oldest = Math.min(...inWindow);
+        const retryAfter = Math.max(1, Math.ceil((oldest + rule.windowSeconds * 1000 - now) / 1000));
+        return { allowed: false, retryAfter, subject: subject.split(":")[0], rule };
+      }
+    }
+    logs.push({ key, recent, moved });
+  }
+
+  // Only record once every subject has room, so a blocked request costs nothing.
+  // Yesterday's entries move to today's key, so they are not counted twice.
+  for (const { key, recent, moved } of logs) {
+    await store.put(key, JSON.stringify([...recent, now]), {
+      expirationTtl: Math.max(MIN_KV_TTL, longestWindow),
+    });
+    for (const name of moved) await store.delete(name);
+  }
+  return { allowed: true };
+}
+
+/**
+ * Human-readable wait time, e.g. "45 minutes"
+ * @param {Number} seconds
+ * @returns {String}
+ */
+export function formatRetryAfter(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 90) return `${minutes} minutes`;
+  return `${Math.ceil(minutes / 60)} hours`;
+}
+
+function parseRules(spec) {
+  return String(spec)
+    .split(",")
+    .map((rule) => rule.trim().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/i))
+    .filter(Boolean)
+    .map(([, limit, amount, unit]) => ({
+      limit: Number(limit),
+      windowSeconds: Number(amount || 1) * UNIT_SECONDS[unit.toLowerCase()],
+    }))
+    .filter((rule) => rule.limit > 0 && rule.windowSeconds > 0);
+}
+
+// HMAC keys for the log keys, the one to write to first: the secret, or
+// today's salt and (when there is one) yesterday's
+async function getHmacKeys(store, now, secret) {
+  if (secret) return [secret];
+  const today = new Date(now).toISOString().slice(0, 10);
+  const yesterday = new Date(now - 86400000).toISOString().slice(0, 10);
+  const salts = [await getDailySalt(store, today), await getDailySalt(store, yesterday, { create: false })];
+  return salts.filter(Boolean);
+}
+
+async function hashKey(hmacKey, subject) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(hmacKey),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(subject));
+  return Array.from(new Uint8Array(mac).slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+}
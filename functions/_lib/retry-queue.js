@@ -0,0 +1,189 @@
+// ============================================
+// EMAIL DELIVERY RETRY QUEUE
+// ============================================
+// Submissions whose notification could not be delivered are queued here and
+// retried with exponential backoff until they succeed or run out of attempts,
+// at which point they move to the dead-letter state for manual follow-up.
+//
+// Queue entries live next to the submissions (same KV namespace):
+// - "retry:pending:<submissionId>" — waiting for the next attempt
+// - "retry:dead:<submissionId>"    — gave up after CONTACT_RETRY_MAX_ATTEMPTS
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_RETRY_MAX_ATTEMPTS: (optional) total delivery attempts, default 6
+// - CONTACT_RETRY_BASE_SECONDS: (optional) first backoff delay, default 60
+
+import { clampInt } from "./http.js";
+import { deliverSubmission } from "./delivery.js";
+import { getLogger } from "./logger.js";
+import { getSubmission, updateSubmissionStatus } from "./submissions.js";
+
+const PENDING_PREFIX = "retry:pending:";
+const DEAD_PREFIX = "retry:dead:";
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+/**
+ * Read retry settings from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {{maxAttempts: Number, baseSeconds: Number}}
+ */
+export function getRetryPolicy(env = {}) {
+  return {
+    maxAttempts: clampInt(env.CONTACT_RETRY_MAX_ATTEMPTS, 6, 1, 20),
+    baseSeconds: clampInt(env.CONTACT_RETRY_BASE_SECONDS, 60, 1, MAX_BACKOFF_SECONDS),
+  };
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped at 6 hours
+ * @param {Number} attempts - Attempts made so far (>= 1)
+ * @param {{baseSeconds: Number}} policy
+ * @returns {Number} Delay in milliseconds
+ */
+export function backoffDelay(attempts, { baseSeconds }) {
+  const seconds = Math.min(baseSeconds * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+  return seconds * 1000;
+}
+
+/**
+ * Queue a submission after its first delivery attempt failed
+ * @param {Object} store - KV namespace
+ * @param {String} submissionId
+ * @param {{error?: String, env?: Object, now?: Number}} options
+ * @returns {Promise<Object>} Queue entry
+ */
+export async function enqueueRetry(store, submissionId, { error, env = {}, now = Date.now() } = {}) {
+  const policy = getRetryPolicy(env);
+  const entry = {
+    submissionId,
+    attempts: 1,
+    lastError: error || null,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now + backoffDelay(1, policy)).toISOString(),
+  };
+  await store.put(PENDING_PREFIX + submissionId, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * List queue entries in one state
+ * @param {Object} store - KV namespace
+ * @param {"pending"|"dead"} state
+ * @returns {Promise<Array>}
+ */
+export async function listRetryEntries(store, state = "pending") {
+  const prefix = state === "dead" ? DEAD_PREFIX : PENDING_PREFIX;
+  const entries = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const entry = await store.get(key.name, { type: "json" });
+      if (entry) entries.push(entry);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+/**
+ * Retry every due entry once (the scheduled handler). An entry that throws
+ * (KV write limits, a record KV refuses) is logged and counted as failed,
+ * and the drain goes on with the next one.
+ * @param {Object} store - KV namespace
+ * @param {{env?: Object, now?: Number, limit?: Number, log?: Object}} options
+ * @returns {Promise<{processed: Number, delivered: Number, rescheduled: Number, deadLettered: Number, failed: Number}>}
+ */
+export async function drainRetryQueue(store, { env = {}, now = Date.now(), limit = 25, log = getLogger(env, { step: "retry" }) } = {}) {
+  const policy = getRetryPolicy(env);
+  const summary = { processed: 0, delivered: 0, rescheduled: 0, deadLettered: 0, failed: 0 };
+  const due = (await listRetryEntries(store, "pending"))
+    .filter((entry) => Date.parse(entry.nextAttemptAt) <= now)
+    .slice(0, limit);
+
+  for (const entry of due) {
+    summary.processed++;
+    try {
+      const outcome = await retryEntry(store, entry, { env, now, policy, log });
+      if (outcome) summary[outcome]++;
+    } catch (err) {
+      log.error("Retry attempt failed", { submissionId: entry.submissionId, error: err });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// One delivery attempt for a queue entry; returns the summary counter to bump
+// (nothing when the submission is gone and the entry was dropped)
+async function retryEntry(store, entry, { env, now, policy, log }) {
+  const key = PENDING_PREFIX + entry.submissionId;
+  const submission = await getSubmission(store, entry.submissionId);
+  if (!submission) {
+    log.warn("Submission no longer exists, dropping retry entry", { submissionId: entry.submissionId });
+    await store.delete(key);
+    return null;
+  }
+
+  log.info("Retrying delivery", {
+    submissionId: entry.submissionId,
+    attempt: entry.attempts + 1,
+    maxAttempts: policy.maxAttempts,
+  });
+  const result = await deliverSubmission({
+    cleanName: submission.name,
+    cleanEmail: submission.email,
+    cleanSubject: submission.subject,
+    cleanMessage: submission.message,
+    meta: submission.meta,
+    attachments: submission.attachments || [],
+    transcript: submission.transcript || [],
+    env,
+    log: log.child({ submissionId: entry.submissionId }),
+  });
+
+  const attempts = entry.attempts + 1;
+  const updated = { ...entry, attempts, updatedAt: new Date(now).toISOString() };
+
+  if (result.ok) {
+    await store.delete(key);
+    await updateSubmissionStatus(store, entry.submissionId, "delivered", {
+      provider: result.provider,
+      errors: result.errors,
+      attempts,
+      nextAttemptAt: null,
+    });
+    return "delivered";
+  }
+
+  updated.lastError = result.error || null;
+
+  if (attempts >= policy.maxAttempts) {
+    log.error("Giving up on delivery, moved to dead letters", { submissionId: entry.submissionId, attempts });
+    delete updated.nextAttemptAt;
+    updated.deadLetteredAt = new Date(now).toISOString();
+    await store.put(DEAD_PREFIX + entry.submissionId, JSON.stringify(updated));
+    await store.delete(key);
+    await updateSubmissionStatus(store, entry.submissionId, "failed", {
+      provider: null,
+      error: updated.lastError,
+      errors: result.errors,
+      attempts,
+      nextAttemptAt: null,
+      deadLettered: true,
+    });
+    return "deadLettered";
+  }
+
+  updated.nextAttemptAt = new Date(now + backoffDelay(attempts, policy)).toISOString();
+  await store.put(key, JSON.stringify(updated));
+  await updateSubmissionStatus(store, entry.submissionId, "queued", {
+    error: updated.lastError,
+    errors: result.errors,
+    attempts,
+    nextAttemptAt: updated.nextAttemptAt,
+  });
+  return "rescheduled";
+}
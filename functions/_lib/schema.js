@@ -0,0 +1,113 @@
+// ============================================
+// JSON SCHEMA VALIDATOR (SUBSET)
+// ============================================
+// Validates the content files in content/ against content/schema/*.schema.json
+// without a runtime dependency. Supported keywords:
+//
+//   type, const, enum, required, properties, additionalProperties (false),
+//   items, minItems, maxItems, uniqueItems, minLength, maxLength, pattern,
+//   format ("uri"), minimum, maximum
+//
+// plus one custom keyword for arrays of objects:
+//
+//   "x-uniqueBy": "title" | ["slug", "title"] — no two items may share the same
+//   value for any of those keys
+//
+// Unknown keywords (title, description, $id, …) are ignored.
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  array: (v) => Array.isArray(v),
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  null: (v) => v === null,
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema (subset, see above)
+ * @param {String} path - JSON path used in messages (default "$")
+ * @returns {String[]} Error messages such as "$.items[2].githubUrl: must be a URL"; empty when valid
+ */
+export function validateSchema(value, schema, path = "$") {
+  const errors = [];
+  const fail = (message) => errors.push(`${path}: ${message}`);
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+    return errors;
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type]?.(value)) {
+    fail(`must be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format === "uri" && !isHttpUrl(value)) fail("must be an http(s) URL");
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) fail(`item ${i} is a duplicate`);
+        seen.add(key);
+      });
+    }
+    for (const key of [].concat(schema["x-uniqueBy"] || [])) {
+      const seen = new Map();
+      value.forEach((item, i) => {
+        const k = item?.[key];
+        if (k === undefined) return;
+        if (seen.has(k)) fail(`items ${seen.get(k)} and ${i} have the same ${key} ${JSON.stringify(k)}`);
+        else seen.set(k, i);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail(`missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail(`unknown property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
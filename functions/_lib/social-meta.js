@@ -0,0 +1,88 @@
+// ============================================
+// PER-PROJECT SOCIAL METADATA
+// ============================================
+// Link previews (Open Graph, Twitter cards) are read by crawlers that do not
+// run JavaScript, so a shared /projects/<slug> link must arrive with that
+// project's tags already in the HTML. These helpers rewrite the tags in the
+// <head> of index.html; tags the page does not have are appended.
+
+import { escapeHtml } from "./email/index.js";
+
+export const SITE_NAME = "Dhruvil Thummar";
+
+// The site-wide image declares its size and type; a project image may differ
+const SITE_IMAGE_DETAILS = ["og:image:type", "og:image:width", "og:image:height"];
+
+/**
+ * Find a project by its slug
+ * @param {Object[]} projects - Items of content/projects.json
+ * @param {String} slug
+ * @returns {Object|null}
+ */
+export function findProjectBySlug(projects, slug) {
+  return projects.find((p) => p.slug === String(slug || "").toLowerCase()) || null;
+}
+
+/**
+ * Social metadata for one project page
+ * @param {Object} project - Item of content/projects.json
+ * @param {String} origin - Site origin, e.g. https://drthummar.me
+ * @returns {{title: String, description: String, url: String, image: String, imageAlt: String}}
+ */
+export function buildProjectMeta(project, origin) {
+  return {
+    title: `${project.title} — ${SITE_NAME}`,
+    description: project.description,
+    url: `${origin}/projects/${project.slug}`,
+    image: project.imageUrl,
+    imageAlt: `${project.title} screenshot`,
+  };
+}
+
+/**
+ * Rewrite the title, description, canonical URL and social tags of a page
+ * @param {String} html - index.html
+ * @param {Object} meta - From buildProjectMeta
+ * @returns {String}
+ */
+export function applySocialMeta(html, meta) {
+  // Function replacers throughout: a "$&" or "$1" in project text must stay literal
+  const title = escapeHtml(meta.title);
+  const url = escapeHtml(meta.url);
+  let out = html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${title}</title>`);
+  out = out.replace(/(<link\s+rel="canonical"\s+href=")[^"]*(")/, (_, a, b) => a + url + b);
+
+  const tags = [
+    ["name", "description", meta.description],
+    ["property", "og:type", "article"],
+    ["property", "og:url", meta.url],
+    ["property", "og:title", meta.title],
+    ["property", "og:description", meta.description],
+    ["property", "og:image", meta.image],
+    ["property", "og:image:secure_url", meta.image],
+    ["property", "og:image:alt", meta.imageAlt],
+    ["name", "twitter:title", meta.title],
+    ["name", "twitter:description", meta.description],
+    ["name", "twitter:image", meta.image],
+    ["name", "twitter:image:alt", meta.imageAlt],
+  ];
+  for (const [attr, key, value] of tags) out = setMetaTag(out, attr, key, value);
+  for (const key of SITE_IMAGE_DETAILS) out = removeMetaTag(out, "property", key);
+  return out;
+}
+
+function metaTagPattern(attr, key) {
+  const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`<meta\\s+${attr}="${escapedKey}"\\s+content="[^"]*"\\s*/?>`, "g");
+}
+
+function setMetaTag(html, attr, key, value) {
+  const tag = `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`;
+  const pattern = metaTagPattern(attr, key);
+  if (pattern.test(html)) return html.replace(pattern, () => tag);
+  return html.replace("</head>", () => `    ${tag}\n</head>`);
+}
+
+function removeMetaTag(html, attr, key) {
+  return html.replace(new RegExp(`[ \\t]*${metaTagPattern(attr, key).source}\\n?`, "g"), "");
+}
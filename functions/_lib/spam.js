@@ -0,0 +1,222 @@
+// ============================================
+// SPAM & BOT PROTECTION
+// ============================================
+// Layered checks run on every contact submission before it is stored or
+// emailed. Each layer rejects with a stable `code` the front end can show.
+//
+// 1. Honeypot      — hidden "website" field that humans never fill in
+// 2. Form token    — HMAC-signed issue time from /api/contact/token; rejects
+//                    forms submitted faster than a human could type
+// 3. Turnstile     — optional Cloudflare Turnstile verification
+// 4. Content score — link-heavy or keyword-spam messages
+//
+// ENVIRONMENT VARIABLES:
+// - CONTACT_FORM_SECRET: (optional) HMAC key for form tokens; token check is skipped without it
+// - CONTACT_MIN_SUBMIT_SECONDS: (optional) minimum time-to-submit, default 3
+// - TURNSTILE_SECRET_KEY: (optional) enables Turnstile verification
+// - TURNSTILE_VERIFY_URL: (optional) override the siteverify endpoint (for mocks)
+// - CONTACT_SPAM_THRESHOLD: (optional) content score that rejects, default 5
+
+import { timingSafeEqual } from "./auth.js";
+import { clampInt } from "./http.js";
+import { getLogger } from "./logger.js";
+
+export const HONEYPOT_FIELD = "website";
+
+const TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+const SPAM_KEYWORDS = [
+  "casino", "viagra", "cialis", "crypto investment", "bitcoin", "forex", "loan offer",
+  "seo services", "backlinks", "rank your website", "guest post", "increase traffic",
+  "make money", "work from home", "earn $", "click here", "limited time offer", "adult",
+];
+
+// Whole words only, so "adult" does not match "adulthood" ("earn $" may run into the amount)
+const SPAM_KEYWORD_PATTERNS = SPAM_KEYWORDS.map((keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return { keyword, pattern: new RegExp(`\\b${escaped}${/\w$/.test(keyword) ? "\\b" : ""}`, "i") };
+});
+
+/**
+ * Run every spam layer against a parsed submission body
+ * @param {Object} params
+ * @param {Object} params.body - Parsed request body
+ * @param {Request} params.request - Incoming request (for the client IP)
+ * @param {Object} params.env - Pages environment bindings
+ * @param {Number} params.now - Epoch milliseconds (for tests)
+ * @param {Object} params.log - Logger (see ./logger.js)
+ * @returns {Promise<{status: Number, code: String, error: String}|null>} Rejection, or null to accept
+ */
+export async function checkSubmission({ body = {}, request, env = {}, now = Date.now(), log = getLogger(env, { step: "spam" }) }) {
+  // Layer 1: honeypot
+  if (typeof body[HONEYPOT_FIELD] === "string" && body[HONEYPOT_FIELD].trim() !== "") {
+    return reject(400, "honeypot_triggered", "Submission rejected.");
+  }
+
+  // Layer 2: signed time-to-submit token
+  const secret = env.CONTACT_FORM_SECRET || env.contact_form_secret;
+  if (secret) {
+    const tokenError = await verifyFormToken(body.formToken, secret, {
+      now,
+      minSeconds: clampInt(env.CONTACT_MIN_SUBMIT_SECONDS, 3, 0, 600),
+    });
+    if (tokenError) return tokenError;
+  }
+
+  // Layer 3: Turnstile
+  const turnstileSecret = env.TURNSTILE_SECRET_KEY || env.turnstile_secret_key;
+  if (turnstileSecret) {
+    const turnstileError = await verifyTurnstile(body.turnstileToken, turnstileSecret, {
+      ip: request?.headers?.get("cf-connecting-ip"),
+      verifyUrl: env.TURNSTILE_VERIFY_URL || TURNSTILE_VERIFY_URL,
+      log,
+    });
+    if (turnstileError) return turnstileError;
+  }
+
+  // Layer 4: content scoring
+  const { score, reasons } = scoreContent(body);
+  if (score >= clampInt(env.CONTACT_SPAM_THRESHOLD, 5, 1, 100)) {
+    log.warn("Content flagged as spam", { score, reasons });
+    return reject(400, "content_flagged", "Your message looks like spam. Please remove links or promotional wording and try again.");
+  }
+
+  return null;
+}
+
+/**
+ * Issue a form token: "<issuedAt>.<base64url HMAC-SHA256(issuedAt)>"
+ * @param {String} secret - CONTACT_FORM_SECRET
+ * @param {Number} now - Epoch milliseconds
+ * @returns {Promise<String>}
+ */
+export async function issueFormToken(secret, now = Date.now()) {
+  const issuedAt = String(now);
+  return `${issuedAt}.${await sign(issuedAt, secret)}`;
+}
+
+/**
+ * Verify a form token's signature and age
+ * @param {String} token - Token from the request body
+ * @param {String} secret - CONTACT_FORM_SECRET
+ * @param {{now: Number, minSeconds: Number}} options
+ * @returns {Promise<{status: Number, code: String, error: String}|null>}
+ */
+export async function verifyFormToken(token, secret, { now = Date.now(), minSeconds = 3 } = {}) {
+  if (!token || typeof token !== "string") {
+    return reject(400, "form_token_missing", "Form session is missing. Please reload the page and try again.");
+  }
+
+  const [issuedAt, signature] = token.split(".");
+  if (!/^\d{10,16}$/.test(issuedAt || "") || !signature || !timingSafeEqual(signature, await sign(issuedAt, secret))) {
+    return reject(400, "form_token_invalid", "Form session is invalid. Please reload the page and try again.");
+  }
+
+  const age = now - Number(issuedAt);
+  if (age < minSeconds * 1000) {
+    return reject(400, "submitted_too_fast", "That was fast! Please take a moment and submit again.");
+  }
+  if (age > TOKEN_MAX_AGE_MS) {
+    return reject(400, "form_token_expired", "Form session expired. Please reload the page and try again.");
+  }
+  return null;
+}
+
+/**
+ * Verify a Turnstile response token against the siteverify endpoint
+ * @param {String} token - cf-turnstile-response from the widget
+ * @param {String} secret - TURNSTILE_SECRET_KEY
+ * @param {{ip?: String, verifyUrl: String, log?: Object}} options
+ * @returns {Promise<{status: Number, code: String, error: String}|null>}
+ */
+export async function verifyTurnstile(token, secret, { ip, verifyUrl = TURNSTILE_VERIFY_URL, log = getLogger() } = {}) {
+  if (!token || typeof token !== "string") {
+    return reject(400, "turnstile_missing", "Please complete the human verification.");
+  }
+
+  try {
+    const form = new FormData();
+    form.append("secret", secret);
+    form.append("response", token);
+    if (ip) form.append("remoteip", ip);
+
+    const response = await fetch(verifyUrl, { method: "POST", body: form });
+    const outcome = await response.json().catch(() => ({}));
+    if (!outcome.success) {
+      log.warn("Turnstile rejected", { status: response.status, errorCodes: outcome["error-codes"] || [] });
+      return reject(403, "turnstile_failed", "Human verification failed. Please try again.");
+    }
+    return null;
+  } catch (err) {
+    log.error("Turnstile verify error", { error: err });
+    return reject(503, "turnstile_unavailable", "Human verification is temporarily unavailable. Please try again later.");
+  }
+}
+
+/**
+ * Heuristic spam score for the free-text fields
+ * @param {{name?: String, subject?: String, message?: String}} fields
+ * @returns {{score: Number, reasons: String[]}}
+ */
+export function scoreContent({ name = "", subject = "", message = "" } = {}) {
+  const text = `${subject || ""}\n${message || ""}`;
+  const reasons = [];
+  let score = 0;
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links * 2;
+    reasons.push(`${links} link(s)`);
+  }
+
+  const bbcode = (text.match(/\[url=|<a\s+href/gi) || []).length;
+  if (bbcode > 0) {
+    score += 5;
+    reasons.push("link markup");
+  }
+
+  const keywords = SPAM_KEYWORD_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ keyword }) => keyword);
+  if (keywords.length > 0) {
+    score += keywords.length * 2;
+    reasons.push(`keywords: ${keywords.join("/")}`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    score += 2;
+    reasons.push("mostly uppercase");
+  }
+
+  if (/(.)\1{9,}/.test(text)) {
+    score += 1;
+    reasons.push("repeated characters");
+  }
+
+  if (/https?:\/\/|www\./i.test(name || "")) {
+    score += 3;
+    reasons.push("link in name");
+  }
+
+  return { score, reasons };
+}
+
+function reject(status, code, error) {
+  return { status, code, error };
+}
+
+async function sign(value, secret) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(value));
+  return btoa(String.fromCharCode(...new Uint8Array(mac)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
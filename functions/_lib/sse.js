@@ -0,0 +1,49 @@
+// ============================================
+// SERVER-SENT EVENTS
+// ============================================
+// The chat route streams its reply as server-sent events, and the model
+// backends read theirs the same way (OpenAI and Workers AI both stream
+// `data: …` lines). https://html.spec.whatwg.org/multipage/server-sent-events.html
+
+/**
+ * Encode one event
+ * @param {String} event - Event name
+ * @param {*} data - Serialized as JSON
+ * @returns {String}
+ */
+export function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Data of every event in a stream, in order (multi-line data joined with "\n")
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {AsyncGenerator<String>}
+ */
+export async function* readServerSentEvents(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let data = [];
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      // The last piece may be an incomplete line
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line === "") {
+          if (data.length) yield data.join("\n");
+          data = [];
+        } else if (line.startsWith("data:")) {
+          data.push(line.slice(5).replace(/^ /, ""));
+        }
+      }
+    }
+    if (buffer.startsWith("data:")) data.push(buffer.slice(5).replace(/^ /, ""));
+    if (data.length) yield data.join("\n");
+  } finally {
+    reader.releaseLock();
+  }
+}
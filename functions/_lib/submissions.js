@@ -0,0 +1,162 @@
+// ============================================
+// CONTACT SUBMISSION STORE
+// ============================================
+// Persists every validated contact submission before delivery is attempted,
+// so a message survives even if every email provider is down.
+//
+// BINDINGS:
+// - CONTACT_SUBMISSIONS: KV namespace holding submission records
+//   (falls back to an in-memory store when the binding is missing)
+//
+// Records are stored under "submission:<id>". Ids start with a reversed
+// timestamp, so a plain prefix listing returns the newest submissions first.
+
+import { MemoryKV } from "./memory-kv.js";
+
+export const SUBMISSION_STATUSES = ["received", "queued", "delivered", "failed"];
+
+const KEY_PREFIX = "submission:";
+const MAX_TIMESTAMP = 8640000000000000;
+// KV list calls one filtered listSubmissions() may make
+const MAX_FILTERED_LISTS = 10;
+
+let fallbackStore;
+
+/**
+ * Resolve the submission store from the environment
+ * @param {Object} env - Pages environment bindings
+ * @returns {Object} KV namespace (or in-memory stand-in)
+ */
+export function getSubmissionStore(env = {}) {
+  if (env.CONTACT_SUBMISSIONS) return env.CONTACT_SUBMISSIONS;
+  if (!fallbackStore) {
+    console.warn("⚠️ CONTACT_SUBMISSIONS binding missing, using in-memory store (data is not persisted)");
+    fallbackStore = new MemoryKV();
+  }
+  return fallbackStore;
+}
+
+/**
+ * Create a new submission id (sorts newest-first)
+ * @param {Number} now - Epoch milliseconds
+ * @returns {String}
+ */
+export function createSubmissionId(now = Date.now()) {
+  const reversed = (MAX_TIMESTAMP - now).toString(36).padStart(11, "0");
+  return `${reversed}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Persist a freshly validated submission with status "received"
+ * @param {Object} store - KV namespace
+ * @param {Object} params - Sanitized submission fields
+ * @returns {Promise<Object>} Stored record
+ */
+export async function saveSubmission(store, { name, email, subject, message, meta = {}, attachments = [], transcript = [] }) {
+  const now = new Date().toISOString();
+  const record = {
+    id: createSubmissionId(),
+    status: "received",
+    createdAt: now,
+    updatedAt: now,
+    name,
+    email,
+    subject,
+    message,
+    meta,
+    // Kept with the record (base64) so retried deliveries still carry them
+    attachments,
+    // Chatbot conversation that led to the message (hand-off from Info-Byte)
+    transcript,
+    delivery: null,
+  };
+  await writeRecord(store, record);
+  return record;
+}
+
+/**
+ * Update the delivery status of a stored submission
+ * @param {Object} store - KV namespace
+ * @param {String} id - Submission id
+ * @param {String} status - One of SUBMISSION_STATUSES
+ * @param {Object} delivery - Delivery details (provider, error, ...)
+ * @returns {Promise<Object|null>} Updated record, or null if not found
+ */
+export async function updateSubmissionStatus(store, id, status, delivery = {}) {
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    throw new Error(`Unknown submission status: ${status}`);
+  }
+  const record = await getSubmission(store, id);
+  if (!record) return null;
+
+  record.status = status;
+  record.updatedAt = new Date().toISOString();
+  record.delivery = { ...(record.delivery || {}), ...delivery };
+  await writeRecord(store, record);
+  return record;
+}
+
+/**
+ * Fetch a single submission
+ * @param {Object} store - KV namespace
+ * @param {String} id - Submission id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubmission(store, id) {
+  if (!id || !/^[a-z0-9-]{1,64}$/i.test(id)) return null;
+  return store.get(KEY_PREFIX + id, { type: "json" });
+}
+
+/**
+ * List submission summaries, newest first. With a status filter, keeps
+ * reading KV pages until limit matches are found or the listing ends, so a
+ * page only comes back short (with a cursor) after MAX_FILTERED_LISTS reads.
+ * @param {Object} store - KV namespace
+ * @param {{limit?: Number, cursor?: String, status?: String}} options
+ * @returns {Promise<{items: Array, cursor: String|null}>}
+ */
+export async function listSubmissions(store, { limit = 20, cursor, status } = {}) {
+  const items = [];
+  let next = cursor || null;
+  for (let reads = 0; reads < MAX_FILTERED_LISTS; reads++) {
+    const page = await store.list({ prefix: KEY_PREFIX, limit, cursor: next || undefined });
+    const matches = page.keys
+      .map((key) => ({ id: key.name.slice(KEY_PREFIX.length), ...(key.metadata || {}) }))
+      .filter((item) => !status || item.status === status);
+    // Too many to fit: stop before this page so the next request re-reads it
+    if (items.length + matches.length > limit) break;
+    items.push(...matches);
+    next = page.list_complete ? null : page.cursor || null;
+    if (!next || !status || items.length === limit) break;
+  }
+  return { items, cursor: next };
+}
+
+async function writeRecord(store, record) {
+  // Listing reads only metadata, so keep the summary fields there. KV caps
+  // metadata at 1024 bytes, so the free-text fields are cut to fit.
+  await store.put(KEY_PREFIX + record.id, JSON.stringify(record), {
+    metadata: {
+      status: record.status,
+      name: truncateBytes(record.name, 200),
+      email: truncateBytes(record.email, 300),
+      subject: truncateBytes(record.subject, 300),
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+    },
+  });
+}
+
+// Longest prefix of text that takes at most maxBytes as a JSON string (UTF-8)
+function truncateBytes(text, maxBytes) {
+  const value = String(text ?? "");
+  const encoder = new TextEncoder();
+  let bytes = 0;
+  let end = 0;
+  for (const char of value) {
+    bytes += encoder.encode(JSON.stringify(char)).length - 2;
+    if (bytes > maxBytes) return value.slice(0, end);
+    end += char.length;
+  }
+  return value;
+}
@@ -0,0 +1,35 @@
+// ============================================
+// API MIDDLEWARE — CORS ORIGIN ALLOW-LIST
+// ============================================
+// Runs before every /api/* route. Requests from origins outside
+// CONTACT_ALLOWED_ORIGINS are rejected (preflight and actual request alike);
+// allowed origins are echoed back with "Vary: Origin".
+
+import { resolveCorsOrigin } from "../_lib/cors.js";
+import { json } from "../_lib/http.js";
+import { getLogger } from "../_lib/logger.js";
+
+export async function onRequest(context) {
+  const { request, env = {} } = context;
+  const cors = resolveCorsOrigin(request, env);
+
+  if (!cors.allowed) {
+    getLogger(env, { step: "cors" }).warn("Origin not allowed", {
+      origin: request.headers.get("Origin"),
+      path: new URL(request.url).pathname,
+    });
+    const rejected = json({ error: "Origin not allowed", code: "origin_not_allowed" }, 403);
+    rejected.headers.set("Vary", "Origin");
+    return rejected;
+  }
+
+  const response = await context.next();
+
+  // Responses from next() may have immutable headers, so copy before editing
+  const decorated = new Response(response.body, response);
+  if (cors.origin) {
+    decorated.headers.set("Access-Control-Allow-Origin", cors.origin);
+  }
+  decorated.headers.append("Vary", "Origin");
+  return decorated;
+}
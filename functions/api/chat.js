@@ -0,0 +1,173 @@
+// ============================================
+// CHATBOT ENDPOINT
+// ============================================
+// POST /api/chat
+// Public. Info-Byte's replies, grounded in the site content:
+//
+//   { "messages": [{ "role": "user" | "assistant", "content": "…" }, …], "stream": true }
+//
+// The page sends the recent conversation with every message (the server keeps
+// no state); the last message is the visitor's question. Passages for it are
+// retrieved from the site content and handed to the configured model backend
+// (CHAT_BACKEND, see functions/_lib/chat-backends). Without a backend, or when
+// it fails before replying, the answer comes from the site content directly.
+//
+// With `"stream": true` (or Accept: text/event-stream) the reply is streamed
+// as server-sent events:
+//
+//   event: meta   data: { requestId, backend }
+//   event: delta  data: { text }                        (repeated)
+//   event: done   data: { fallback, sources: [{ label, href? }] }
+//   event: error  data: { error, code }                 (model failed mid-reply)
+//
+// otherwise it is JSON: { ok, requestId, reply, sources, backend, fallback }
+// (502 backend_failed when the model fails mid-reply).
+//
+// ENVIRONMENT VARIABLES:
+// - CHAT_BACKEND: (optional) openai | workers-ai | stub; unset = site content only
+// - CHAT_RATE_LIMITS: (optional) per-IP rules like CONTACT_RATE_LIMITS, default "10/1m,100/1d"
+// - RATE_LIMIT_SECRET: (optional) HMAC key for the rate-limit keys (see functions/_lib/rate-limit.js)
+//
+// BINDINGS:
+// - CHAT_RATE_LIMIT: (optional) KV namespace for the rate limits (in-memory if unbound)
+
+import { getChatBackend } from "../_lib/chat-backends/index.js";
+import { buildSystemPrompt, collectSources, getChatEngine, localReply, parseChatMessages, retrieveContext } from "../_lib/chat.js";
+import { eventStream, getClientIp, json, preflight } from "../_lib/http.js";
+import { createRequestId, getLogger } from "../_lib/logger.js";
+import { consumeRateLimit, formatRetryAfter, getRateLimitStore, parseRateLimits } from "../_lib/rate-limit.js";
+import { formatServerSentEvent } from "../_lib/sse.js";
+
+export const DEFAULT_CHAT_RATE_LIMITS = "10/1m,100/1d";
+// Longest a model may take for its whole reply
+const BACKEND_TIMEOUT_MS = 20000;
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet() {
+  return json({ error: "Method not allowed. Please use POST to send a message.", code: "method_not_allowed" }, 405);
+}
+
+export async function onRequestPost(context) {
+  const { request, env = {} } = context;
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "chat" });
+  const elapsed = log.timer();
+
+  const respond = (obj, status = 200, extraHeaders = {}) => {
+    log[status >= 400 ? "warn" : "info"]("Request completed", { status, durationMs: elapsed(), code: obj.code });
+    return json({ ...obj, requestId }, status, { ...extraHeaders, "X-Request-ID": requestId });
+  };
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return respond({ error: "Invalid JSON format. Please check your request body.", code: "invalid_json" }, 400);
+  }
+
+  const parsed = parseChatMessages(body?.messages);
+  if (parsed.error) return respond({ error: parsed.error, code: parsed.code }, 400);
+  const { messages } = parsed;
+
+  const clientIp = getClientIp(request);
+  const rateLimit = await consumeRateLimit(
+    getRateLimitStore(env, "CHAT_RATE_LIMIT"),
+    clientIp !== "unknown" ? [`ip:${clientIp}`] : [],
+    {
+      rules: parseRateLimits(env.CHAT_RATE_LIMITS, { fallback: DEFAULT_CHAT_RATE_LIMITS, log }),
+      secret: env.RATE_LIMIT_SECRET,
+    },
+  );
+  if (!rateLimit.allowed) {
+    log.warn("Rate limited", { retryAfter: rateLimit.retryAfter });
+    return respond({
+      error: `You're sending messages quickly. Please wait ${formatRetryAfter(rateLimit.retryAfter)} and ask again.`,
+      code: "rate_limited",
+      retryAfter: rateLimit.retryAfter,
+    }, 429, { "Retry-After": String(rateLimit.retryAfter) });
+  }
+
+  const engine = await getChatEngine(env, new URL(request.url).origin);
+  const backend = getChatBackend(env, log);
+  const reply = createReply({ backend, engine, messages, log });
+
+  const wantsStream = body.stream === true || (request.headers.get("accept") || "").includes("text/event-stream");
+  if (!wantsStream) {
+    let text = "";
+    try {
+      for await (const chunk of reply.chunks) text += chunk;
+    } catch (err) {
+      log.error("Chat reply failed mid-reply", { backend: reply.backend, error: err });
+      return respond({ error: "The reply was cut off. Please ask again.", code: "backend_failed" }, 502);
+    }
+    return respond({
+      ok: true,
+      reply: text,
+      sources: reply.sources,
+      backend: reply.backend,
+      fallback: reply.fallback,
+    });
+  }
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+      send("meta", { requestId, backend: reply.backend });
+      try {
+        for await (const text of reply.chunks) send("delta", { text });
+        send("done", { fallback: reply.fallback, sources: reply.sources });
+      } catch (err) {
+        log.error("Chat reply failed mid-stream", { backend: reply.backend, error: err });
+        send("error", { error: "The reply was cut off. Please ask again.", code: "backend_failed" });
+      }
+      log.info("Reply streamed", { backend: reply.backend, fallback: reply.fallback, durationMs: elapsed() });
+      controller.close();
+    },
+  });
+  return eventStream(stream, { "X-Request-ID": requestId });
+}
+
+// The reply as an async iterable of text pieces. A backend error before its
+// first piece switches to the local answer (fallback = true); after that the
+// error is thrown to the caller, since part of the reply has been sent.
+function createReply({ backend, engine, messages, log }) {
+  const local = localReply(engine, messages);
+  const passages = backend ? retrieveContext(engine, messages) : [];
+  const reply = {
+    backend: backend?.name || null,
+    sources: backend ? collectSources(passages) : local.sources,
+    fallback: !backend,
+    chunks: null,
+  };
+
+  reply.chunks = (async function* () {
+    if (!backend) {
+      yield local.text;
+      return;
+    }
+    let started = false;
+    try {
+      for await (const text of backend.stream({
+        system: buildSystemPrompt(passages),
+        messages,
+        passages,
+        signal: AbortSignal.timeout(BACKEND_TIMEOUT_MS),
+      })) {
+        started = true;
+        yield text;
+      }
+    } catch (err) {
+      if (started) throw err;
+      log.warn("Chat backend failed, using local answer", { backend: backend.name, error: err });
+      reply.fallback = true;
+      reply.sources = local.sources;
+      yield local.text;
+    }
+  })();
+
+  return reply;
+}
@@ -0,0 +1,100 @@
+// ============================================
+// ANALYTICS COLLECTION ENDPOINT
+// ============================================
+// POST /api/collect
+// Public. The page sends events here only after the visitor accepts
+// analytics in the consent banner:
+//
+//   { "events": [{ "type": "section_view", "target": "projects" }, …] }
+//
+// Types (see functions/_lib/analytics.js): section_view (section id),
+// project_open (project slug), podcast_play (language), chat_question (no
+// target; the question itself is never sent) and contact_submit (form | chat).
+// Unknown or malformed events are dropped; at most 20 per request.
+//
+// Requests with "Sec-GPC: 1" or "DNT: 1" are accepted and discarded.
+// Responds 202 { ok, accepted }.
+//
+// ENVIRONMENT VARIABLES:
+// - ANALYTICS_RATE_LIMITS: (optional) per-IP rules like CONTACT_RATE_LIMITS, default "60/1m,1000/1d"
+// - RATE_LIMIT_SECRET: (optional) HMAC key for the rate-limit keys (see functions/_lib/rate-limit.js)
+//
+// BINDINGS:
+// - ANALYTICS: (optional) KV namespace for the daily counts (in-memory if unbound)
+// - ANALYTICS_RATE_LIMIT: (optional) KV namespace for the rate limits (in-memory if unbound)
+
+import { getAnalyticsStore, parseEvents, recordEvents } from "../_lib/analytics.js";
+import { getClientIp, json, preflight } from "../_lib/http.js";
+import { createRequestId, getLogger } from "../_lib/logger.js";
+import { consumeRateLimit, getRateLimitStore, parseRateLimits } from "../_lib/rate-limit.js";
+
+export const DEFAULT_ANALYTICS_RATE_LIMITS = "60/1m,1000/1d";
+// Larger bodies are not events from the page
+const MAX_BODY_BYTES = 8192;
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet() {
+  return json({ error: "Method not allowed. Please use POST to send events.", code: "method_not_allowed" }, 405);
+}
+
+export async function onRequestPost(context) {
+  const { request, env = {} } = context;
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "collect" });
+  const respond = (obj, status = 202, extraHeaders = {}) =>
+    json({ ...obj, requestId }, status, { ...extraHeaders, "X-Request-ID": requestId });
+
+  // Beacons are sent as text/plain, so the body is parsed whatever its content type
+  const text = await request.text();
+  if (text.length > MAX_BODY_BYTES) {
+    return respond({ error: "Too many events in one request.", code: "payload_too_large" }, 413);
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return respond({ error: "Invalid JSON format. Please check your request body.", code: "invalid_json" }, 400);
+  }
+
+  const events = parseEvents(body?.events);
+  if (events.length === 0) {
+    return respond({ error: "No valid events in the request.", code: "invalid_events" }, 400);
+  }
+
+  if (request.headers.get("sec-gpc") === "1" || request.headers.get("dnt") === "1") {
+    return respond({ ok: true, accepted: 0 });
+  }
+
+  const clientIp = getClientIp(request);
+  const rateLimit = await consumeRateLimit(
+    getRateLimitStore(env, "ANALYTICS_RATE_LIMIT"),
+    clientIp !== "unknown" ? [`ip:${clientIp}`] : [],
+    {
+      rules: parseRateLimits(env.ANALYTICS_RATE_LIMITS, { fallback: DEFAULT_ANALYTICS_RATE_LIMITS, log }),
+      secret: env.RATE_LIMIT_SECRET,
+    },
+  );
+  if (!rateLimit.allowed) {
+    return respond(
+      { error: "Too many events. Please slow down.", code: "rate_limited", retryAfter: rateLimit.retryAfter },
+      429,
+      { "Retry-After": String(rateLimit.retryAfter) },
+    );
+  }
+
+  try {
+    const { newVisitor } = await recordEvents(getAnalyticsStore(env), {
+      events,
+      ip: clientIp,
+      userAgent: request.headers.get("user-agent") || "",
+    });
+    log.debug("Events recorded", { count: events.length, newVisitor });
+    return respond({ ok: true, accepted: events.length });
+  } catch (err) {
+    log.error("Failed to record events", { error: err });
+    return respond({ error: "Could not record events", code: "analytics_store_failure" }, 503);
+  }
+}
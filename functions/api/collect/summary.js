@@ -0,0 +1,37 @@
+// ============================================
+// ANALYTICS — DAILY SUMMARY
+// ============================================
+// GET /api/collect/summary?days=7
+// GET /api/collect/summary?from=2026-01-01&to=2026-01-31
+// Owner-only (see functions/_lib/auth.js). Daily visitor and event counts,
+// oldest day first, plus totals for the range (at most 90 days).
+// Without parameters: the last 7 days, today included (UTC).
+
+import { getAnalyticsStore, getAnalyticsSummary, parseSummaryRange } from "../../_lib/analytics.js";
+import { requireAdmin } from "../../_lib/auth.js";
+import { json, preflight } from "../../_lib/http.js";
+import { createRequestId, getLogger } from "../../_lib/logger.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, env = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "collect-summary" });
+  const headers = { "X-Request-ID": requestId };
+
+  const range = parseSummaryRange(new URL(request.url).searchParams);
+  if (range.error) return json({ error: range.error, code: "invalid_range", requestId }, 400, headers);
+
+  try {
+    return json({ ok: true, requestId, ...(await getAnalyticsSummary(getAnalyticsStore(env), range)) }, 200, headers);
+  } catch (err) {
+    log.error("Failed to read analytics", { error: err });
+    return json({ error: "Could not read analytics", code: "analytics_store_failure", requestId }, 500, headers);
+  }
+}
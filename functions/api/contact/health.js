@@ -0,0 +1,116 @@
+// ============================================
+// CONTACT FUNCTION HEALTH & CONFIGURATION
+// ============================================
+// GET /api/contact/health — owner-only (see functions/_lib/auth.js)
+//
+// Reports what the contact function would do with the current environment,
+// without sending anything:
+// - providers: every registered provider, whether CONTACT_PROVIDERS enables
+//   it and whether its credentials are present
+// - sender: whether CONTACT_FROM has a domain MailChannels can send from
+// - env: which alias each email setting was read from (null = built-in default)
+// - bindings / features: KV namespaces and optional spam layers in use
+//
+// Query:
+// - dryRun=1: also build both emails for a sample submission (not sent)
+// - locale=hi|gu: language of the dry-run confirmation email
+//
+// Secret values are never echoed; only whether they are set.
+// Responds 200 when at least one provider can send, otherwise 503.
+
+import { requireAdmin } from "../../_lib/auth.js";
+import { buildSubmissionMessages, resolveEmailConfig, resolveEmailEnvSources } from "../../_lib/delivery.js";
+import { json, preflight } from "../../_lib/http.js";
+import { createRequestId, getLogger } from "../../_lib/logger.js";
+import { describeProviders } from "../../_lib/providers/index.js";
+import { validateSenderDomain } from "../../_lib/providers/mailchannels.js";
+
+const DRY_RUN_SAMPLE = {
+  cleanName: "Health Check",
+  cleanEmail: "visitor@example.com",
+  cleanSubject: "Dry run",
+  cleanMessage: "This is a dry-run message built by /api/contact/health. It was not sent.",
+};
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, env = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "contact-health" });
+  const url = new URL(request.url);
+
+  const config = resolveEmailConfig(env);
+  const providers = describeProviders(env).map(({ name, ...status }) =>
+    buildDeliveryDebug(config.FROM_EMAIL, config.OWNER_EMAIL, name, status),
+  );
+  const chain = providers.filter((p) => p.enabled && p.configured).map((p) => p.service);
+  const sender = validateSenderDomain(config.FROM_EMAIL);
+
+  const warnings = [];
+  if (chain.length === 0) warnings.push("No enabled provider is configured; submissions will be queued, not delivered");
+  if (!sender.ok && chain.includes("mailchannels")) warnings.push(`MailChannels cannot send from ${config.FROM_EMAIL}: ${sender.error}`);
+  if (config.FROM_EMAIL === "onboarding@resend.dev") warnings.push("CONTACT_FROM is not set; Resend's test sender only delivers to the account owner");
+
+  const report = {
+    ok: chain.length > 0,
+    requestId,
+    chain,
+    providers,
+    sender: { email: config.FROM_EMAIL, ...sender },
+    env: resolveEmailEnvSources(env),
+    bindings: {
+      CONTACT_SUBMISSIONS: Boolean(env.CONTACT_SUBMISSIONS),
+      CONTACT_RATE_LIMIT: Boolean(env.CONTACT_RATE_LIMIT),
+    },
+    features: {
+      formToken: Boolean(env.CONTACT_FORM_SECRET || env.contact_form_secret),
+      turnstile: Boolean(env.TURNSTILE_SECRET_KEY || env.turnstile_secret_key),
+      allowedOrigins: env.CONTACT_ALLOWED_ORIGINS || env.contact_allowed_origins || null,
+    },
+    warnings,
+  };
+
+  if (["1", "true", "yes"].includes((url.searchParams.get("dryRun") || "").toLowerCase())) {
+    report.dryRun = buildDryRun(config, url.searchParams.get("locale"));
+    if (report.dryRun.error) report.ok = false;
+  }
+
+  log[report.ok ? "info" : "warn"]("Health check", { step: "health", chain, warnings: warnings.length });
+  return json(report, report.ok ? 200 : 503, { "X-Request-ID": requestId });
+}
+
+// Render both emails for a sample submission; never sends
+function buildDryRun(config, locale) {
+  try {
+    const messages = buildSubmissionMessages({
+      ...DRY_RUN_SAMPLE,
+      meta: { clientIp: "203.0.113.10", userAgent: "contact-health", referer: "dry-run", locale },
+      config,
+    });
+    const summarize = ({ html, text, attachments, ...headers }) => ({
+      ...headers,
+      htmlBytes: new TextEncoder().encode(html).length,
+      text,
+    });
+    return { owner: summarize(messages.owner), sender: summarize(messages.sender) };
+  } catch (err) {
+    return { error: `Could not build emails: ${err.message}` };
+  }
+}
+
+function buildDeliveryDebug(from, to, service, extra = {}) {
+  return {
+    service,
+    from,
+    to,
+    hasFrom: !!from,
+    hasTo: !!to,
+    ...extra,
+  };
+}
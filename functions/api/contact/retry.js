@@ -0,0 +1,57 @@
+// ============================================
+// CONTACT DELIVERY RETRY — SCHEDULED DRAIN
+// ============================================
+// Pages Functions have no cron triggers, so the queue is drained by calling
+// this route on a schedule (see .github/workflows/contact-retry.yml).
+//
+// GET  /api/contact/retry — queue state (pending and dead-lettered entries)
+// POST /api/contact/retry — retry every due entry once
+// Both owner-only (see functions/_lib/auth.js).
+
+import { requireAdmin } from "../../_lib/auth.js";
+import { clampInt, json, preflight } from "../../_lib/http.js";
+import { createRequestId, getLogger } from "../../_lib/logger.js";
+import { drainRetryQueue, getRetryPolicy, listRetryEntries } from "../../_lib/retry-queue.js";
+import { getSubmissionStore } from "../../_lib/submissions.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, env = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const store = getSubmissionStore(env);
+  return json({
+    ok: true,
+    policy: getRetryPolicy(env),
+    pending: await listRetryEntries(store, "pending"),
+    dead: await listRetryEntries(store, "dead"),
+  });
+}
+
+export async function onRequestPost(context) {
+  const { request, env = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const url = new URL(request.url);
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "contact-retry" });
+  const elapsed = log.timer();
+  const headers = { "X-Request-ID": requestId };
+  try {
+    const summary = await drainRetryQueue(getSubmissionStore(env), {
+      env,
+      limit: clampInt(url.searchParams.get("limit"), 25, 1, 100),
+      log: log.child({ step: "retry" }),
+    });
+    log.info("Retry drain finished", { step: "respond", durationMs: elapsed(), ...summary });
+    return json({ ok: true, requestId, ...summary }, 200, headers);
+  } catch (err) {
+    log.error("Retry drain failed", { step: "respond", durationMs: elapsed(), error: err });
+    return json({ error: "Retry drain failed", service: "retry_queue_failure", requestId }, 500, headers);
+  }
+}
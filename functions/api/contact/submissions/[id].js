@@ -0,0 +1,30 @@
+// ============================================
+// CONTACT INBOX — READ ONE SUBMISSION
+// ============================================
+// GET /api/contact/submissions/:id
+// Owner-only (see functions/_lib/auth.js). Returns the full stored record.
+
+import { requireAdmin } from "../../../_lib/auth.js";
+import { json, preflight } from "../../../_lib/http.js";
+import { getSubmission, getSubmissionStore } from "../../../_lib/submissions.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, env = {}, params = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  try {
+    const submission = await getSubmission(getSubmissionStore(env), params.id);
+    if (!submission) {
+      return json({ error: "Submission not found" }, 404);
+    }
+    return json({ ok: true, submission });
+  } catch (err) {
+    console.error("❌ Failed to read submission:", err.message);
+    return json({ error: "Could not read submission", service: "submission_store_failure" }, 500);
+  }
+}
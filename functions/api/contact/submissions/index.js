@@ -0,0 +1,40 @@
+// ============================================
+// CONTACT INBOX — LIST SUBMISSIONS
+// ============================================
+// GET /api/contact/submissions?limit=20&cursor=...&status=failed
+// Owner-only (see functions/_lib/auth.js). Returns submission summaries,
+// newest first, plus a cursor for the next page. A status-filtered page can
+// hold fewer than limit items while cursor is still set (the scan is capped),
+// so clients keep following cursor until it is null.
+
+import { requireAdmin } from "../../../_lib/auth.js";
+import { clampInt, json, preflight } from "../../../_lib/http.js";
+import { getSubmissionStore, listSubmissions, SUBMISSION_STATUSES } from "../../../_lib/submissions.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, env = {} } = context;
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get("status") || undefined;
+  if (status && !SUBMISSION_STATUSES.includes(status)) {
+    return json({ error: `Unknown status. Use one of: ${SUBMISSION_STATUSES.join(", ")}` }, 400);
+  }
+
+  try {
+    const page = await listSubmissions(getSubmissionStore(env), {
+      limit: clampInt(url.searchParams.get("limit"), 20, 1, 100),
+      cursor: url.searchParams.get("cursor"),
+      status,
+    });
+    return json({ ok: true, ...page });
+  } catch (err) {
+    console.error("❌ Failed to list submissions:", err.message);
+    return json({ error: "Could not read submissions", service: "submission_store_failure" }, 500);
+  }
+}
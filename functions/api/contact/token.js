@@ -0,0 +1,25 @@
+// ============================================
+// CONTACT FORM TOKEN
+// ============================================
+// GET /api/contact/token
+// Issued when the page loads; the form sends it back so the handler can
+// reject submissions made faster than a human could fill the form in.
+// Also tells the front end whether to render the Turnstile widget.
+
+import { json, preflight } from "../../_lib/http.js";
+import { issueFormToken } from "../../_lib/spam.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const env = context?.env || {};
+  const secret = env.CONTACT_FORM_SECRET || env.contact_form_secret;
+
+  return json({
+    ok: true,
+    token: secret ? await issueFormToken(secret) : null,
+    turnstileSiteKey: env.TURNSTILE_SITE_KEY || env.turnstile_site_key || null,
+  });
+}
@@ -0,0 +1,27 @@
+// ============================================
+// SITE CONTENT — ONE COLLECTION
+// ============================================
+// GET /api/content/:name (projects | skills | certifications | knowledge)
+// Public. Returns { version, items } with an ETag, or 304 when unchanged.
+
+import { CONTENT_COLLECTIONS, CONTENT_VERSION, contentResponse, getCollection } from "../../_lib/content.js";
+import { json, preflight } from "../../_lib/http.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { request, params = {} } = context;
+  const items = getCollection(params.name);
+  if (!items) {
+    return json(
+      {
+        error: `Unknown content collection. Use one of: ${Object.keys(CONTENT_COLLECTIONS).join(", ")}`,
+        code: "unknown_collection",
+      },
+      404,
+    );
+  }
+  return contentResponse(request, { version: CONTENT_VERSION, items });
+}
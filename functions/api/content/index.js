@@ -0,0 +1,22 @@
+// ============================================
+// SITE CONTENT — ALL COLLECTIONS
+// ============================================
+// GET /api/content
+// Public. Returns every collection in one response so the page needs a
+// single request: { version, projects, skills, certifications, knowledge }.
+// Sent with an ETag; a matching If-None-Match gets 304 Not Modified.
+
+import { CONTENT_COLLECTIONS, CONTENT_VERSION, contentResponse } from "../../_lib/content.js";
+import { preflight } from "../../_lib/http.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const payload = { version: CONTENT_VERSION };
+  for (const [name, doc] of Object.entries(CONTENT_COLLECTIONS)) {
+    payload[name] = doc.items;
+  }
+  return contentResponse(context.request, payload);
+}
@@ -0,0 +1,58 @@
+// ============================================
+// GITHUB REPOSITORY STATS
+// ============================================
+// GET /api/github/repos
+// Public. Stats for every repository linked from content/projects.json:
+//
+//   { ok, requestId, repos: { "owner/repo": { stars, forks, language, pushedAt, topics, … } },
+//     errors: { "owner/repo": "message" } }
+//
+// Keys are lower-case "owner/repo". Only repositories from the content file
+// are looked up, so this cannot be used as an open GitHub proxy.
+// Results are cached per repository (see functions/_lib/github.js).
+
+import { getCollection } from "../../_lib/content.js";
+import { getRepoStats, parseGitHubRepo } from "../../_lib/github.js";
+import { json, preflight } from "../../_lib/http.js";
+import { createRequestId, getLogger } from "../../_lib/logger.js";
+
+export async function onRequestOptions() {
+  return preflight();
+}
+
+export async function onRequestGet(context) {
+  const { env = {} } = context;
+  const requestId = createRequestId();
+  const log = getLogger(env, { requestId, route: "github-repos" });
+  const timer = log.timer();
+
+  const repos = new Map();
+  for (const project of getCollection("projects")) {
+    const repo = project.githubUrl && parseGitHubRepo(project.githubUrl);
+    if (repo) repos.set(repo.key, repo);
+  }
+
+  const results = await Promise.all(
+    Array.from(repos.values(), async (repo) => [repo.key, await getRepoStats(repo, env, { log })]),
+  );
+
+  const body = { ok: true, requestId, repos: {}, errors: {} };
+  for (const [key, result] of results) {
+    if (result.stats) body.repos[key] = result.stale ? { ...result.stats, stale: true } : result.stats;
+    else body.errors[key] = result.error;
+  }
+  body.ok = Object.keys(body.errors).length === 0;
+
+  log.info("Repository stats served", {
+    repos: results.length,
+    cached: results.filter(([, r]) => r.cached).length,
+    failed: Object.keys(body.errors).length,
+    durationMs: timer(),
+  });
+
+  // Partial results are still useful to the page, so this is 200 either way
+  return json(body, 200, {
+    "X-Request-ID": requestId,
+    "Cache-Control": "public, max-age=300",
+  });
+}
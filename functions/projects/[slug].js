@@ -0,0 +1,32 @@
+// ============================================
+// PROJECT DEEP LINKS
+// ============================================
+// GET /projects/:slug
+// Serves index.html with that project's title, description, canonical URL and
+// Open Graph / Twitter tags, so shared links preview the project. The page
+// script then opens the project's modal (see openProjectFromUrl in index.html).
+// Unknown slugs redirect to the projects section.
+
+import { getCollection } from "../_lib/content.js";
+import { applySocialMeta, buildProjectMeta, findProjectBySlug } from "../_lib/social-meta.js";
+
+export async function onRequestGet(context) {
+  const { request, env = {}, params = {} } = context;
+  const url = new URL(request.url);
+
+  const project = findProjectBySlug(getCollection("projects"), params.slug);
+  if (!project) {
+    return Response.redirect(`${url.origin}/#projects`, 302);
+  }
+
+  const page = await env.ASSETS.fetch(new URL("/", url));
+  if (!page.ok) return page;
+
+  const html = applySocialMeta(await page.text(), buildProjectMeta(project, url.origin));
+  return new Response(html, {
+    headers: {
+      "content-type": "text/html; charset=utf-8",
+      "Cache-Control": "public, max-age=300",
+    },
+  });
+}
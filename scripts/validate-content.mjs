@@ -0,0 +1,53 @@
+// ============================================
+// CONTENT VALIDATION (BUILD STEP)
+// ============================================
+// npm run validate:content
+//
+// Checks every content/<name>.json against content/schema/<name>.schema.json
+// and reports every error in every file, then exits non-zero if any file is
+// malformed, so a bad entry fails CI instead of breaking the page.
+
+import { readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+import { validateSchema } from "../functions/_lib/schema.js";
+
+const CONTENT_DIR = new URL("../content/", import.meta.url);
+// Every schema in content/schema/ names a collection that must exist
+const COLLECTIONS = (await readdir(new URL("schema/", CONTENT_DIR)))
+  .filter((f) => f.endsWith(".schema.json"))
+  .map((f) => f.replace(".schema.json", ""))
+  .sort();
+
+async function readJson(url) {
+  try {
+    return JSON.parse(await readFile(url, "utf8"));
+  } catch (err) {
+    throw new Error(`${fileURLToPath(url)}: ${err.message}`);
+  }
+}
+
+let failed = 0;
+for (const name of COLLECTIONS) {
+  const file = `content/${name}.json`;
+  try {
+    const doc = await readJson(new URL(`${name}.json`, CONTENT_DIR));
+    const schema = await readJson(new URL(`schema/${name}.schema.json`, CONTENT_DIR));
+    const errors = validateSchema(doc, schema);
+    if (errors.length) {
+      failed++;
+      console.error(`✗ ${file}`);
+      errors.forEach((e) => console.error(`  ${e}`));
+    } else {
+      console.log(`✓ ${file} (${doc.items.length} entries)`);
+    }
+  } catch (err) {
+    failed++;
+    console.error(`✗ ${file}\n  ${err.message}`);
+  }
+}
+
+if (failed) {
+  console.error(`\n${failed} content file(s) failed validation`);
+  process.exit(1);
+}
@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { onRequestGet as getHealth } from "../functions/api/contact/health.js";
+import { onRequestGet as listInbox } from "../functions/api/contact/submissions/index.js";
+import { onRequestGet as readInbox } from "../functions/api/contact/submissions/[id].js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { saveSubmission } from "../functions/_lib/submissions.js";
+import { createContext, validSubmission } from "./helpers.mjs";
+
+const TOKEN = "owner-secret";
+const ENV = {
+  CONTACT_ADMIN_TOKEN: TOKEN,
+  RESEND_API_KEY: "re_live_secret",
+  CONTACT_FROM: "contact@drthummar.me",
+  CONTACT_TO: "owner@drthummar.me",
+};
+
+async function call(handler, url, { env = ENV, token = TOKEN, params } = {}) {
+  const context = createContext({
+    method: "GET",
+    url: `https://drthummar.me${url}`,
+    env,
+    params,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+  });
+  const response = await handler(context);
+  return { response, body: await response.json() };
+}
+
+describe("GET /api/contact/health — auth", () => {
+  it("answers 401 with WWW-Authenticate without a bearer token", async () => {
+    const { response } = await call(getHealth, "/api/contact/health", { token: null });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get("WWW-Authenticate"), "Bearer");
+  });
+
+  it("answers 401 to a wrong token", async () => {
+    const { response, body } = await call(getHealth, "/api/contact/health", { token: "guess" });
+    assert.equal(response.status, 401);
+    assert.equal(body.chain, undefined);
+  });
+
+  it("answers 503 while CONTACT_ADMIN_TOKEN is not set", async () => {
+    const { response, body } = await call(getHealth, "/api/contact/health", { env: { ...ENV, CONTACT_ADMIN_TOKEN: undefined } });
+    assert.equal(response.status, 503);
+    assert.equal(body.service, "admin_auth_unconfigured");
+  });
+});
+
+describe("GET /api/contact/health — report", () => {
+  it("reports the provider chain, sender, bindings and features", async () => {
+    const { response, body } = await call(getHealth, "/api/contact/health");
+
+    assert.equal(response.status, 200);
+    assert.equal(body.ok, true);
+    assert.equal(response.headers.get("X-Request-ID"), body.requestId);
+    assert.deepEqual(body.chain, ["resend", "mailchannels"]);
+    const smtp = body.providers.find((p) => p.service === "smtp-relay");
+    assert.equal(smtp.enabled, false);
+    assert.equal(smtp.configured, false);
+    assert.deepEqual(body.sender, { email: "contact@drthummar.me", ok: true, domain: "drthummar.me" });
+    assert.equal(body.env.FROM_EMAIL.source, "CONTACT_FROM");
+    assert.deepEqual(body.bindings, { CONTACT_SUBMISSIONS: true, CONTACT_RATE_LIMIT: true });
+    assert.deepEqual(body.features, { formToken: false, turnstile: false, allowedOrigins: null });
+    assert.deepEqual(body.warnings, []);
+    assert.equal(body.dryRun, undefined);
+  });
+
+  it("never echoes secret values", async () => {
+    const env = { ...ENV, CONTACT_FORM_SECRET: "form-secret", TURNSTILE_SECRET_KEY: "ts-secret" };
+    const { body } = await call(getHealth, "/api/contact/health?dryRun=1", { env });
+    const text = JSON.stringify(body);
+    for (const secret of ["re_live_secret", "form-secret", "ts-secret", TOKEN]) assert.ok(!text.includes(secret), secret);
+    assert.deepEqual(body.features, { formToken: true, turnstile: true, allowedOrigins: null });
+  });
+
+  it("answers 503 with a warning when no enabled provider can send", async () => {
+    const env = { ...ENV, CONTACT_PROVIDERS: "resend", RESEND_API_KEY: undefined };
+    const { response, body } = await call(getHealth, "/api/contact/health", { env });
+    assert.equal(response.status, 503);
+    assert.equal(body.ok, false);
+    assert.deepEqual(body.chain, []);
+    assert.match(body.warnings[0], /No enabled provider is configured/);
+  });
+
+  it("builds both emails for a dry run without sending them", async () => {
+    const { body } = await call(getHealth, "/api/contact/health?dryRun=1&locale=hi");
+    assert.equal(body.dryRun.owner.to, "owner@drthummar.me");
+    assert.match(body.dryRun.owner.subject, /Dry run/);
+    assert.equal(body.dryRun.sender.to, "visitor@example.com");
+    assert.match(body.dryRun.sender.subject, /धन्यवाद/);
+    assert.ok(body.dryRun.owner.htmlBytes > 0);
+  });
+});
+
+describe("contact inbox routes — auth", () => {
+  const routes = [
+    ["GET /api/contact/submissions", listInbox, "/api/contact/submissions", undefined],
+    ["GET /api/contact/submissions/:id", readInbox, "/api/contact/submissions/x", { id: "x" }],
+  ];
+
+  for (const [label, handler, url, params] of routes) {
+    it(`${label} answers 401 without a bearer token or with a wrong one`, async () => {
+      for (const token of [null, "guess", `${TOKEN}x`]) {
+        const { response, body } = await call(handler, url, { token, params });
+        assert.equal(response.status, 401, String(token));
+        assert.equal(response.headers.get("WWW-Authenticate"), "Bearer");
+        assert.equal(body.items, undefined);
+      }
+    });
+
+    it(`${label} answers 503 while CONTACT_ADMIN_TOKEN is not set`, async () => {
+      const { response } = await call(handler, url, { env: { ...ENV, CONTACT_ADMIN_TOKEN: undefined }, params });
+      assert.equal(response.status, 503);
+    });
+  }
+
+  it("lets the owner list and read stored submissions", async () => {
+    const env = { ...ENV, CONTACT_SUBMISSIONS: new MemoryKV() };
+    const { name, email, subject, message } = validSubmission();
+    const { id } = await saveSubmission(env.CONTACT_SUBMISSIONS, { name, email, subject, message });
+
+    const list = await call(listInbox, "/api/contact/submissions?status=received", { env });
+    assert.equal(list.response.status, 200);
+    assert.deepEqual(list.body.items.map((item) => item.id), [id]);
+
+    const read = await call(readInbox, `/api/contact/submissions/${id}`, { env, params: { id } });
+    assert.equal(read.response.status, 200);
+    assert.equal(read.body.submission.message, message);
+  });
+});
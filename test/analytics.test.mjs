@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { onRequestPost } from "../functions/api/collect.js";
+import { onRequestGet as getSummary } from "../functions/api/collect/summary.js";
+import { getAnalyticsSummary, parseEvents, parseSummaryRange, recordEvents, toDay } from "../functions/_lib/analytics.js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { brokenKV, createContext } from "./helpers.mjs";
+
+const COLLECT_URL = "https://drthummar.me/api/collect";
+const SUMMARY_URL = "https://drthummar.me/api/collect/summary";
+const TOKEN = "owner-secret";
+
+function collect(events, { env = {}, headers = {} } = {}) {
+  return onRequestPost(createContext({ url: COLLECT_URL, body: { events }, env, headers }));
+}
+
+function summary(query = "", { env = {}, token = TOKEN } = {}) {
+  return getSummary(createContext({
+    method: "GET",
+    url: `${SUMMARY_URL}${query}`,
+    env: { CONTACT_ADMIN_TOKEN: TOKEN, ...env },
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+  }));
+}
+
+describe("parseEvents", () => {
+  it("keeps known types with valid targets", () => {
+    assert.deepEqual(
+      parseEvents([
+        { type: "section_view", target: "Projects" },
+        { type: "chat_question", target: "what is his email?" },
+        { type: "contact_submit", target: "chat" },
+        { type: "project_open", target: "<script>" },
+        { type: "page_view", target: "x" },
+        null,
+      ]),
+      [
+        { type: "section_view", target: "projects" },
+        { type: "chat_question", target: null },
+        { type: "contact_submit", target: "chat" },
+      ],
+    );
+    assert.deepEqual(parseEvents("section_view"), []);
+  });
+});
+
+describe("recordEvents", () => {
+  it("counts events per target and each visitor once a day", async () => {
+    const store = new MemoryKV();
+    const now = Date.parse("2026-03-02T10:00:00Z");
+    const visitor = { ip: "203.0.113.7", userAgent: "Firefox", now };
+    await recordEvents(store, { ...visitor, events: [{ type: "section_view", target: "about" }, { type: "chat_question", target: null }] });
+    await recordEvents(store, { ...visitor, events: [{ type: "section_view", target: "about" }] });
+    await recordEvents(store, { ...visitor, ip: "198.51.100.1", events: [{ type: "section_view", target: "skills" }] });
+
+    const stats = await store.get("stats:2026-03-02", { type: "json" });
+    assert.equal(stats.visitors, 2);
+    assert.deepEqual(stats.events, { section_view: { about: 2, skills: 1 }, chat_question: { total: 1 } });
+  });
+
+  it("never stores the IP address or user agent", async () => {
+    const store = new MemoryKV();
+    await recordEvents(store, { ip: "203.0.113.7", userAgent: "Firefox", events: [{ type: "podcast_play", target: "en" }] });
+    const dump = JSON.stringify([...store.entries]);
+    assert.ok(!dump.includes("203.0.113.7"));
+    assert.ok(!dump.includes("Firefox"));
+  });
+
+  it("uses a new salt every day", async () => {
+    const store = new MemoryKV();
+    const visitor = { ip: "203.0.113.7", userAgent: "Firefox", events: [{ type: "chat_question" }] };
+    await recordEvents(store, { ...visitor, now: Date.parse("2026-03-02T23:00:00Z") });
+    await recordEvents(store, { ...visitor, now: Date.parse("2026-03-03T01:00:00Z") });
+    const keys = (await store.list()).keys.map((k) => k.name);
+    const hashes = keys.filter((k) => k.startsWith("visitor:")).map((k) => k.split(":")[2]);
+    assert.equal(hashes.length, 2);
+    assert.notEqual(hashes[0], hashes[1]);
+    assert.equal((await store.list({ prefix: "salt:" })).keys.every((k) => k.expiration), true);
+  });
+});
+
+describe("POST /api/collect", () => {
+  it("records valid events", async () => {
+    const env = { ANALYTICS: new MemoryKV() };
+    const res = await collect([{ type: "project_open", target: "bus-iq" }, { type: "nope" }], { env });
+    assert.equal(res.status, 202);
+    assert.deepEqual({ ...(await res.json()), requestId: undefined }, { ok: true, accepted: 1, requestId: undefined });
+    const stats = await env.ANALYTICS.get(`stats:${toDay()}`, { type: "json" });
+    assert.deepEqual(stats.events, { project_open: { "bus-iq": 1 } });
+  });
+
+  it("accepts beacons sent as text/plain", async () => {
+    const env = { ANALYTICS: new MemoryKV() };
+    const res = await onRequestPost(createContext({
+      url: COLLECT_URL,
+      body: JSON.stringify({ events: [{ type: "section_view", target: "home" }] }),
+      headers: { "content-type": "text/plain;charset=UTF-8" },
+      env,
+    }));
+    assert.equal(res.status, 202);
+    assert.ok(await env.ANALYTICS.get(`stats:${toDay()}`));
+  });
+
+  it("discards events from browsers asking not to be tracked", async () => {
+    const env = { ANALYTICS: new MemoryKV() };
+    for (const headers of [{ "sec-gpc": "1" }, { dnt: "1" }]) {
+      const res = await collect([{ type: "section_view", target: "home" }], { env, headers });
+      assert.equal((await res.json()).accepted, 0);
+    }
+    assert.equal(await env.ANALYTICS.get(`stats:${toDay()}`), null);
+  });
+
+  it("rejects malformed requests", async () => {
+    assert.equal((await collect([{ type: "page_view" }])).status, 400);
+    const bad = await onRequestPost(createContext({ url: COLLECT_URL, body: "{nope" }));
+    assert.equal((await bad.json()).code, "invalid_json");
+    const big = await onRequestPost(createContext({ url: COLLECT_URL, body: JSON.stringify({ events: [], pad: "x".repeat(9000) }) }));
+    assert.equal(big.status, 413);
+  });
+
+  it("rate limits per IP", async () => {
+    const env = { ANALYTICS_RATE_LIMITS: "2/1m" };
+    const context = { env: { ...createContext().env, ...env } };
+    for (let i = 0; i < 2; i++) assert.equal((await collect([{ type: "chat_question" }], context)).status, 202);
+    const res = await collect([{ type: "chat_question" }], context);
+    assert.equal(res.status, 429);
+    assert.ok(res.headers.get("Retry-After"));
+  });
+
+  it("reports a store outage", async () => {
+    const res = await collect([{ type: "chat_question" }], { env: { ANALYTICS: brokenKV() } });
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).code, "analytics_store_failure");
+  });
+});
+
+describe("GET /api/collect/summary", () => {
+  it("is owner-only", async () => {
+    assert.equal((await summary("", { token: null })).status, 401);
+    assert.equal((await summary("", { token: "wrong" })).status, 401);
+  });
+
+  it("returns daily counts with totals, oldest first", async () => {
+    const store = new MemoryKV();
+    const events = [{ type: "section_view", target: "about" }, { type: "contact_submit", target: "form" }];
+    await recordEvents(store, { ip: "a", events, now: Date.parse("2026-03-01T12:00:00Z") });
+    await recordEvents(store, { ip: "b", events: events.slice(0, 1), now: Date.parse("2026-03-03T12:00:00Z") });
+
+    const res = await summary("?from=2026-03-01&to=2026-03-03", { env: { ANALYTICS: store } });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.days.map((d) => [d.date, d.visitors, d.totals]), [
+      ["2026-03-01", 1, { section_view: 1, contact_submit: 1 }],
+      ["2026-03-02", 0, {}],
+      ["2026-03-03", 1, { section_view: 1 }],
+    ]);
+    assert.deepEqual(body.totals, { visitors: 2, events: { section_view: 2, contact_submit: 1 } });
+    assert.deepEqual(body.days[0].events.section_view, { about: 1 });
+  });
+
+  it("validates the range", async () => {
+    assert.equal((await summary("?from=2026-03-05&to=2026-03-01")).status, 400);
+    assert.equal((await summary("?days=365")).status, 400);
+    assert.equal((await summary("?from=yesterday")).status, 400);
+  });
+
+  it("reports a store outage with a request id", async () => {
+    const store = new MemoryKV();
+    store.get = async () => {
+      throw new Error("KV unavailable");
+    };
+    const res = await summary("", { env: { ANALYTICS: store } });
+    assert.equal(res.status, 500);
+    const body = await res.json();
+    assert.equal(body.code, "analytics_store_failure");
+    assert.equal(body.requestId, res.headers.get("X-Request-ID"));
+  });
+});
+
+describe("parseSummaryRange", () => {
+  it("defaults to the last 7 days", () => {
+    const now = Date.parse("2026-03-10T08:00:00Z");
+    assert.deepEqual(parseSummaryRange(new URLSearchParams(), now), { from: "2026-03-04", to: "2026-03-10" });
+    assert.deepEqual(parseSummaryRange(new URLSearchParams("days=1"), now), { from: "2026-03-10", to: "2026-03-10" });
+  });
+});
+
+describe("getAnalyticsSummary", () => {
+  it("includes days without visits", async () => {
+    const { days, totals } = await getAnalyticsSummary(new MemoryKV(), { from: "2026-02-27", to: "2026-03-01" });
+    assert.deepEqual(days.map((d) => d.date), ["2026-02-27", "2026-02-28", "2026-03-01"]);
+    assert.equal(totals.visitors, 0);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+
+import { createAnswerEngine, stem, tokenize } from "../assets/js/answer-engine.js";
+import { buildSitePassages, matchSmallTalk, parseStorySections } from "../assets/js/site-knowledge.js";
+
+const read = (path) => readFile(new URL(`../${path}`, import.meta.url), "utf8");
+const items = async (name) => JSON.parse(await read(`content/${name}.json`)).items;
+
+const content = {
+  knowledge: await items("knowledge"),
+  projects: await items("projects"),
+  skills: await items("skills"),
+  certifications: await items("certifications"),
+  story: await read("assets/Story/story.txt"),
+};
+const engine = createAnswerEngine(buildSitePassages(content));
+
+describe("tokenize", () => {
+  it("stems English words with the Porter algorithm", () => {
+    const words = ["projects", "building", "relational", "happiness", "ponies", "hopping", "agreed", "generalization"];
+    assert.deepEqual(words.map(stem), ["project", "build", "relat", "happi", "poni", "hop", "agre", "gener"]);
+  });
+
+  it("drops stopwords and possessives", () => {
+    assert.deepEqual(tokenize("What do you know about Dhruvil's projects?"), ["dhruvil", "project"]);
+    assert.deepEqual(tokenize("   "), []);
+  });
+});
+
+describe("parseStorySections", () => {
+  it("splits story.txt at dashed headings", () => {
+    const sections = parseStorySections(content.story);
+    assert.equal(sections[0].title, "Introduction");
+    assert.ok(sections.some((s) => s.title === "What I'm Currently Learning"));
+    const education = sections.find((s) => s.heading === "EDUCATION");
+    assert.match(education.body, /^🎓 L J University/);
+    assert.ok(!education.body.includes("-----"));
+  });
+});
+
+describe("answer engine", () => {
+  it("no longer answers every question with the skills entry", () => {
+    // "do" and "know" used to be skills keywords
+    assert.equal(engine.answer("What do you know?").confident, false);
+    assert.equal(engine.answer("Do you like pizza?").confident, false);
+  });
+
+  it("ranks the most specific passage first and cites it", () => {
+    const { confident, passages } = engine.answer("How does he handle bugs?");
+    assert.equal(confident, true);
+    assert.deepEqual(passages[0].source, { label: "About · Handling bugs and blocks", href: "#about" });
+  });
+
+  it("matches inflected forms through stemming", () => {
+    const { passages } = engine.answer("which certificates has he earned");
+    assert.ok(passages.length > 1);
+    assert.ok(passages.every((p) => p.source.href === "#certifications"));
+  });
+
+  it("returns several passages from different sections", () => {
+    const { passages } = engine.answer("Which projects use Flask?");
+    const labels = passages.map((p) => p.source.label);
+    assert.deepEqual(labels.slice(0, 2).sort(), ["Projects · Attendify System", "Projects · BUS-IQ Dashboard"]);
+    assert.equal(passages.find((p) => p.title === "BUS-IQ Dashboard").source.href, "#/projects/bus-iq");
+    assert.ok(passages.length <= 3);
+  });
+
+  it("answers from the story with the section as citation", () => {
+    const { passages } = engine.answer("What is a day in his life like?");
+    assert.equal(passages[0].source.label, "Dhruvil's story · A Day in my Life");
+    assert.equal(passages[0].source.href, undefined);
+  });
+
+  it("stays below the confidence threshold for unknown topics", () => {
+    assert.equal(engine.answer("What is his favourite colour?").confident, false);
+    assert.equal(engine.answer("Does he like pizza?").confident, false);
+    assert.equal(engine.answer("which certificates has he earned", { threshold: 0.9 }).confident, false);
+  });
+});
+
+describe("matchSmallTalk", () => {
+  it("answers short greetings but not questions that start with one", () => {
+    assert.match(matchSmallTalk("Hi!", content.knowledge), /^Hello! I'm Info-Byte/);
+    assert.match(matchSmallTalk("thanks a lot", content.knowledge), /^You're welcome/);
+    assert.equal(matchSmallTalk("hi, which projects did he build with Java?", content.knowledge), null);
+    assert.equal(matchSmallTalk("this is great", content.knowledge), null);
+  });
+});
@@ -0,0 +1,248 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { onRequestPost } from "../functions/api/chat.js";
+import { registerChatBackend, unregisterChatBackend } from "../functions/_lib/chat-backends/index.js";
+import { createWorkersAIBackend } from "../functions/_lib/chat-backends/workers-ai.js";
+import { MAX_HISTORY_MESSAGES, MAX_TRANSCRIPT_MESSAGES, parseChatMessages, sanitizeTranscript } from "../functions/_lib/chat.js";
+import { readServerSentEvents } from "../functions/_lib/sse.js";
+import { FALLBACK_ANSWER } from "../assets/js/site-knowledge.js";
+import { createContext, mockFetch } from "./helpers.mjs";
+
+const CHAT_URL = "https://drthummar.me/api/chat";
+const FLASK_QUESTION = "What projects did he build with Flask?";
+
+let fetchMock;
+
+afterEach(() => {
+  fetchMock?.restore();
+  fetchMock = undefined;
+  unregisterChatBackend("fake");
+});
+
+function chat(messages, { env = {}, stream = false, headers = {} } = {}) {
+  const body = { messages: typeof messages === "string" ? [{ role: "user", content: messages }] : messages };
+  if (stream) body.stream = true;
+  return onRequestPost(createContext({ url: CHAT_URL, body, env, headers }));
+}
+
+// [{ event, data }] from a text/event-stream response
+async function readEvents(res) {
+  const text = await res.text();
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => ({
+      event: block.match(/^event: (.+)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.+)$/m)[1]),
+    }));
+}
+
+describe("parseChatMessages", () => {
+  it("rejects malformed conversations", () => {
+    assert.equal(parseChatMessages(undefined).code, "invalid_messages");
+    assert.equal(parseChatMessages([]).code, "invalid_messages");
+    assert.equal(parseChatMessages([{ role: "system", content: "hi" }]).code, "invalid_messages");
+    assert.equal(parseChatMessages([{ role: "user", content: "  " }]).code, "invalid_messages");
+    assert.equal(parseChatMessages([{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }]).code, "invalid_messages");
+    assert.equal(parseChatMessages([{ role: "user", content: "x".repeat(1001) }]).code, "message_too_long");
+  });
+
+  it("keeps the most recent turns, starting with a question", () => {
+    const long = Array.from({ length: 19 }, (_, i) => ({ role: i % 2 ? "assistant" : "user", content: `turn ${i}` }));
+    const { messages } = parseChatMessages(long);
+    assert.ok(messages.length <= MAX_HISTORY_MESSAGES);
+    assert.equal(messages[0].role, "user");
+    assert.equal(messages.at(-1).content, "turn 18");
+  });
+});
+
+describe("sanitizeTranscript", () => {
+  it("keeps well-formed turns and accepts JSON from multipart forms", () => {
+    const turns = [{ role: "user", content: " hi " }, { role: "assistant", content: "hello" }];
+    assert.deepEqual(sanitizeTranscript(turns), [{ role: "user", content: "hi" }, turns[1]]);
+    assert.deepEqual(sanitizeTranscript(JSON.stringify(turns)), sanitizeTranscript(turns));
+  });
+
+  it("drops what it cannot use instead of failing", () => {
+    assert.deepEqual(sanitizeTranscript("{oops"), []);
+    assert.deepEqual(sanitizeTranscript({ role: "user" }), []);
+    assert.deepEqual(sanitizeTranscript([null, { role: "system", content: "x" }, { role: "user", content: 5 }]), []);
+    const long = Array.from({ length: 60 }, (_, i) => ({ role: "user", content: `m${i}` }));
+    assert.equal(sanitizeTranscript(long).length, MAX_TRANSCRIPT_MESSAGES);
+    assert.equal(sanitizeTranscript(long).at(-1).content, "m59");
+  });
+});
+
+describe("POST /api/chat without a backend", () => {
+  it("answers from the site content with sources", async () => {
+    const res = await chat(FLASK_QUESTION);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.backend, null);
+    assert.equal(body.fallback, true);
+    assert.match(body.reply, /Attendify System/);
+    assert.ok(body.sources.some((s) => s.href === "#/projects/attendify"));
+    assert.ok(res.headers.get("X-Request-ID"));
+  });
+
+  it("handles small talk and unknown questions", async () => {
+    assert.match((await (await chat("thanks!")).json()).reply, /welcome/i);
+    const unknown = await (await chat("Does he like pizza?")).json();
+    assert.equal(unknown.reply, FALLBACK_ANSWER);
+    assert.deepEqual(unknown.sources, []);
+  });
+
+  it("rejects bad requests", async () => {
+    const res = await onRequestPost(createContext({ url: CHAT_URL, body: "{not json" }));
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "invalid_json");
+    assert.equal((await chat([{ role: "assistant", content: "hello" }])).status, 400);
+  });
+
+  it("rate limits per IP with Retry-After", async () => {
+    const env = createContext().env;
+    env.CHAT_RATE_LIMITS = "2/1m";
+    assert.equal((await chat("hi", { env })).status, 200);
+    assert.equal((await chat("hi", { env })).status, 200);
+
+    const res = await chat("hi", { env });
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).code, "rate_limited");
+    assert.ok(Number(res.headers.get("Retry-After")) > 0);
+  });
+});
+
+describe("POST /api/chat with a backend", () => {
+  it("streams the stub backend's reply as server-sent events", async () => {
+    const res = await chat(FLASK_QUESTION, { env: { CHAT_BACKEND: "stub" }, stream: true });
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+    const events = await readEvents(res);
+    assert.deepEqual(events[0], { event: "meta", data: { requestId: res.headers.get("X-Request-ID"), backend: "stub" } });
+    const deltas = events.filter((e) => e.event === "delta");
+    assert.ok(deltas.length > 5);
+    assert.match(deltas.map((e) => e.data.text).join(""), /^Attendify System: /);
+
+    const done = events.at(-1);
+    assert.equal(done.event, "done");
+    assert.equal(done.data.fallback, false);
+    assert.ok(done.data.sources.length > 0);
+  });
+
+  it("streams when the client accepts text/event-stream", async () => {
+    const res = await chat("hi", { env: { CHAT_BACKEND: "stub" }, headers: { Accept: "text/event-stream" } });
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  });
+
+  it("passes the history and a grounded prompt, and retrieves for follow-ups", async () => {
+    const requests = [];
+    registerChatBackend("fake", () => ({
+      name: "fake",
+      isConfigured: () => true,
+      async *stream(request) {
+        requests.push(request);
+        yield "It uses MySQL.";
+      },
+    }));
+
+    const body = await (await chat([
+      { role: "user", content: FLASK_QUESTION },
+      { role: "assistant", content: "Attendify and BUS-IQ." },
+      { role: "user", content: "which database?" },
+    ], { env: { CHAT_BACKEND: "fake" } })).json();
+
+    assert.equal(body.reply, "It uses MySQL.");
+    assert.equal(body.backend, "fake");
+    assert.equal(requests[0].messages.length, 3);
+    assert.match(requests[0].system, /Info-Byte/);
+    assert.match(requests[0].system, /Attendify System/);
+  });
+
+  it("falls back to the local answer when the backend fails", async () => {
+    registerChatBackend("fake", () => ({
+      name: "fake",
+      isConfigured: () => true,
+      async *stream() {
+        throw new Error("model unavailable");
+      },
+    }));
+
+    const body = await (await chat(FLASK_QUESTION, { env: { CHAT_BACKEND: "fake" } })).json();
+    assert.equal(body.fallback, true);
+    assert.match(body.reply, /Attendify System/);
+  });
+
+  it("answers 502 JSON when the backend fails mid-reply", async () => {
+    registerChatBackend("fake", () => ({
+      name: "fake",
+      isConfigured: () => true,
+      async *stream() {
+        yield "Attendify ";
+        throw new Error("connection reset");
+      },
+    }));
+
+    const res = await chat(FLASK_QUESTION, { env: { CHAT_BACKEND: "fake" } });
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).code, "backend_failed");
+  });
+
+  it("stops a stalled Workers AI stream when the signal aborts", async () => {
+    const stalled = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('data: {"response":"Attendify "}\n\n'));
+      },
+    });
+    const backend = createWorkersAIBackend({ AI: { run: async () => stalled } });
+    const controller = new AbortController();
+    const deltas = [];
+
+    await assert.rejects(async () => {
+      for await (const text of backend.stream({ system: "s", messages: [], signal: controller.signal })) {
+        deltas.push(text);
+        setTimeout(() => controller.abort(new Error("timed out")), 10);
+      }
+    }, /timed out/);
+    assert.deepEqual(deltas, ["Attendify "]);
+  });
+
+  it("uses local answers when the backend is unknown or not configured", async () => {
+    assert.equal((await (await chat("hi", { env: { CHAT_BACKEND: "nope" } })).json()).backend, null);
+    assert.equal((await (await chat("hi", { env: { CHAT_BACKEND: "openai" } })).json()).backend, null);
+  });
+
+  it("reads the OpenAI-compatible stream", async () => {
+    const sse = [
+      'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+      'data: {"choices":[{"delta":{"content":"Attendify "}}]}',
+      'data: {"choices":[{"delta":{"content":"uses Flask."}}]}',
+      "data: [DONE]",
+      "",
+    ].join("\n\n");
+    fetchMock = mockFetch(() => new Response(sse, { headers: { "content-type": "text/event-stream" } }));
+
+    const body = await (await chat(FLASK_QUESTION, { env: { CHAT_BACKEND: "openai", CHAT_API_KEY: "sk-test", CHAT_MODEL: "test-model" } })).json();
+    assert.equal(body.reply, "Attendify uses Flask.");
+    assert.equal(fetchMock.calls[0].url, "https://api.openai.com/v1/chat/completions");
+    assert.equal(fetchMock.calls[0].init.headers.Authorization, "Bearer sk-test");
+    assert.equal(fetchMock.calls[0].body.model, "test-model");
+    assert.equal(fetchMock.calls[0].body.messages[0].role, "system");
+  });
+});
+
+describe("readServerSentEvents", () => {
+  it("joins events split across chunks", async () => {
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      start(controller) {
+        ["data: {\"a\"", ":1}\n", "\ndata: two\r\n", "data: lines\r\n\r\n"].forEach((c) => controller.enqueue(encoder.encode(c)));
+        controller.close();
+      },
+    });
+    const events = [];
+    for await (const data of readServerSentEvents(stream)) events.push(data);
+    assert.deepEqual(events, ['{"a":1}', "two\nlines"]);
+  });
+});
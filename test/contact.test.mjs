@@ -0,0 +1,341 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { onRequest, onRequestPost } from "../functions/api/contact.js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { getAttachmentLimit } from "../functions/_lib/attachments.js";
+import { getSubmission, listSubmissions } from "../functions/_lib/submissions.js";
+import {
+  MAILCHANNELS_URL,
+  RESEND_URL,
+  brokenKV,
+  createContext,
+  jsonResponse,
+  mockFetch,
+  validSubmission,
+} from "./helpers.mjs";
+
+const ENV = {
+  RESEND_API_KEY: "re_test",
+  CONTACT_FROM: "contact@drthummar.me",
+  CONTACT_TO: "owner@drthummar.me",
+};
+
+let fetchMock;
+
+afterEach(() => {
+  fetchMock?.restore();
+  fetchMock = undefined;
+});
+
+async function post(body, env = ENV, headers) {
+  const context = createContext({ body, env, headers });
+  const response = await onRequestPost(context);
+  return { response, body: await response.json(), context };
+}
+
+describe("POST /api/contact — validation", () => {
+  const cases = [
+    ["missing name", { name: "" }, /Name is required/],
+    ["one-letter name", { name: "A" }, /Name is required/],
+    ["overlong name", { name: "A".repeat(101) }, /at most 100 characters/],
+    ["overlong subject", { subject: "S".repeat(201) }, /at most 200 characters/],
+    ["malformed email", { email: "not-an-email" }, /Email address format is invalid/],
+    ["overlong email", { email: `${"a".repeat(250)}@x.io` }, /invalid or too long/],
+    ["short message", { message: "hi" }, /at least 10 characters/],
+  ];
+
+  for (const [label, override, pattern] of cases) {
+    it(`rejects ${label} with 400 and sends nothing`, async () => {
+      fetchMock = mockFetch(() => jsonResponse({ id: "unused" }));
+      const { response, body } = await post(validSubmission(override));
+      assert.equal(response.status, 400);
+      assert.match(body.error, pattern);
+      assert.equal(fetchMock.calls.length, 0);
+    });
+  }
+
+  it("rejects a body that is not JSON", async () => {
+    fetchMock = mockFetch(() => jsonResponse({}));
+    const { response, body } = await post("{not json", ENV, { "content-type": "application/json" });
+    assert.equal(response.status, 400);
+    assert.match(body.error, /Invalid JSON/);
+  });
+
+  it("returns the correlation ID in the body and the X-Request-ID header", async () => {
+    const { response, body } = await post(validSubmission({ message: "short" }));
+    assert.ok(body.requestId);
+    assert.equal(response.headers.get("X-Request-ID"), body.requestId);
+  });
+
+  it("answers other methods with 405", async () => {
+    const response = await onRequest(createContext({ method: "PUT", body: "" }));
+    assert.equal(response.status, 405);
+  });
+});
+
+describe("POST /api/contact — delivery", () => {
+  it("sends the owner notification and the confirmation through Resend", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "email_123" }));
+    const { response, body, context } = await post(validSubmission());
+
+    assert.equal(response.status, 200);
+    assert.equal(body.ok, true);
+    assert.deepEqual(fetchMock.calls.map((c) => c.url), [RESEND_URL, RESEND_URL]);
+
+    const [owner, sender] = fetchMock.calls.map((c) => c.body);
+    assert.equal(owner.to, "owner@drthummar.me");
+    assert.equal(owner.reply_to, "asha@example.com");
+    assert.equal(owner.from, "Dhruvil Thummar <contact@drthummar.me>");
+    assert.match(owner.subject, /New Contact: Internship opportunity — from Asha Patel/);
+    assert.equal(sender.to, "asha@example.com");
+    assert.equal(fetchMock.calls[0].init.headers.Authorization, "Bearer re_test");
+
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.status, "delivered");
+    assert.equal(stored.delivery.provider, "resend");
+  });
+
+  it("stores a submission with a long multibyte name and subject", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "email_123" }));
+    const name = "ગુજરાતી".repeat(14);
+    const subject = "€".repeat(190) + "😀".repeat(5);
+    const { response, body, context } = await post(validSubmission({ name, subject }));
+
+    assert.equal(response.status, 200);
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.subject, subject);
+    assert.equal(stored.status, "delivered");
+
+    const { keys } = await context.env.CONTACT_SUBMISSIONS.list();
+    const { metadata } = keys[0];
+    assert.ok(new TextEncoder().encode(JSON.stringify(metadata)).length <= 1024);
+    assert.ok(subject.startsWith(metadata.subject));
+  });
+
+  it("falls back to MailChannels when Resend fails", async () => {
+    fetchMock = mockFetch((url) =>
+      url === RESEND_URL ? jsonResponse({ message: "Invalid API key" }, 401) : new Response("", { status: 202 }),
+    );
+    const { response, body, context } = await post(validSubmission());
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(fetchMock.calls.map((c) => c.url), [RESEND_URL, MAILCHANNELS_URL, MAILCHANNELS_URL]);
+
+    const owner = fetchMock.calls[1].body;
+    assert.deepEqual(owner.personalizations[0].to, [{ email: "owner@drthummar.me" }]);
+    assert.deepEqual(owner.from, { email: "contact@drthummar.me", name: "Dhruvil Thummar" });
+
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.delivery.provider, "mailchannels");
+    assert.deepEqual(stored.delivery.errors, [{ provider: "resend", error: "Invalid API key" }]);
+  });
+
+  it("skips Resend entirely when RESEND_API_KEY is missing", async () => {
+    fetchMock = mockFetch(() => new Response("", { status: 202 }));
+    const { response } = await post(validSubmission(), { ...ENV, RESEND_API_KEY: undefined });
+    assert.equal(response.status, 200);
+    assert.deepEqual(fetchMock.calls.map((c) => c.url), [MAILCHANNELS_URL, MAILCHANNELS_URL]);
+  });
+
+  it("returns 502 when both providers fail and the submission could not be stored", async () => {
+    fetchMock = mockFetch((url) =>
+      url === RESEND_URL ? jsonResponse({ message: "Resend down" }, 500) : new Response("nope", { status: 500 }),
+    );
+    const { response, body } = await post(validSubmission(), { ...ENV, CONTACT_SUBMISSIONS: brokenKV() });
+
+    assert.equal(response.status, 502);
+    assert.equal(body.service, "email_service_failure");
+    assert.match(body.error, /Email delivery failed/);
+  });
+
+  it("queues the submission (202) when both providers fail but it was stored", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ message: "down" }, 500));
+    const { response, body, context } = await post(validSubmission());
+
+    assert.equal(response.status, 202);
+    assert.equal(body.pending, true);
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.status, "queued");
+  });
+
+  it("does not promise delivery (502) when the submission store is in memory only", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ message: "down" }, 500));
+    const { response, body } = await post(validSubmission(), { ...ENV, CONTACT_SUBMISSIONS: undefined });
+
+    assert.equal(response.status, 502);
+    assert.equal(body.pending, undefined);
+    assert.match(body.error, /Email delivery failed/);
+  });
+
+  it("treats the sender confirmation as best-effort", async () => {
+    let resendCalls = 0;
+    fetchMock = mockFetch(() => {
+      resendCalls++;
+      return resendCalls === 1 ? jsonResponse({ id: "owner" }) : jsonResponse({ message: "Recipient rejected" }, 422);
+    });
+    const { response, body } = await post(validSubmission());
+
+    assert.equal(response.status, 200);
+    assert.equal(body.ok, true);
+    // No fallback provider is tried just for the confirmation
+    assert.deepEqual(fetchMock.calls.map((c) => c.url), [RESEND_URL, RESEND_URL]);
+  });
+
+  it("escapes visitor input in the emails it sends", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "x" }));
+    await post(validSubmission({
+      name: "<img src=x onerror=alert(1)>",
+      message: "<script>alert('hi')</script> and {{subject}}",
+    }));
+
+    const owner = fetchMock.calls[0].body;
+    assert.ok(!owner.html.includes("<script>"));
+    assert.ok(!owner.html.includes("<img src=x"));
+    assert.ok(owner.html.includes("&lt;script&gt;alert(&#039;hi&#039;)&lt;/script&gt;"));
+    assert.ok(owner.html.includes("&#123;&#123;subject&#125;&#125;"));
+    // The plain-text twin shows the original characters
+    assert.ok(owner.text.includes("<script>alert('hi')</script> and {{subject}}"));
+  });
+
+  it("shows and stores the chatbot transcript for the owner only", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "x" }));
+    const transcript = [
+      { role: "user", content: "Is he open to internships?" },
+      { role: "assistant", content: "I'm not sure about that one." },
+      { role: "system", content: "dropped" },
+      { role: "user", content: "<b>ok</b>" },
+    ];
+    const { body, context } = await post(validSubmission({ transcript }));
+
+    const [owner, sender] = fetchMock.calls.map((c) => c.body);
+    assert.ok(owner.html.includes("Chat with Info-Byte"));
+    assert.ok(owner.text.includes("Is he open to internships?"));
+    assert.ok(owner.html.includes("&lt;b&gt;ok&lt;/b&gt;"));
+    assert.ok(!owner.html.includes("dropped"));
+    assert.ok(!sender.html.includes("Chat with Info-Byte"));
+
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.transcript.length, 3);
+  });
+
+  it("leaves the transcript section out of ordinary submissions", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "x" }));
+    await post(validSubmission({ transcript: "not json" }));
+    assert.ok(!fetchMock.calls[0].body.html.includes("Chat with Info-Byte"));
+  });
+});
+
+describe("POST /api/contact — attachments", () => {
+  const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  const PDF = [...new TextEncoder().encode("%PDF-1.7\n")];
+
+  // Multipart body: the usual fields plus the given files
+  function multipart(files, fields = validSubmission()) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    for (const file of files) form.append("attachments", file);
+    return form;
+  }
+
+  function file(signature, name, type, size = 64) {
+    const bytes = new Uint8Array(size);
+    bytes.set(signature);
+    return new File([bytes], name, { type });
+  }
+
+  it("sends an allowed file to the owner only", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "email_123" }));
+    const { response, body, context } = await post(multipart([file(PNG, "diagram.png", "image/png")]));
+
+    assert.equal(response.status, 200);
+    const [owner, sender] = fetchMock.calls.map((c) => c.body);
+    assert.deepEqual(owner.attachments.map((a) => a.filename), ["diagram.png"]);
+    assert.equal(sender.attachments, undefined);
+    const stored = await getSubmission(context.env.CONTACT_SUBMISSIONS, body.id);
+    assert.equal(stored.attachments[0].contentType, "image/png");
+  });
+
+  const rejected = [
+    ["whose bytes do not match its extension", file([0x4d, 0x5a], "resume.pdf", "application/pdf")],
+    ["whose bytes do not match its declared type", file(PNG, "photo.png", "application/pdf")],
+    ["with an extension of another allowed type", file(PDF, "resume.png", "")],
+    ["of a type outside the allow-list", file([...new TextEncoder().encode("GIF89a")], "anim.gif", "image/gif")],
+    ["with a disallowed extension, even with valid bytes", file(PDF, "resume.exe", "application/octet-stream")],
+  ];
+
+  for (const [label, upload] of rejected) {
+    it(`rejects a file ${label} (415)`, async () => {
+      fetchMock = mockFetch(() => jsonResponse({ id: "unused" }));
+      const { response, body } = await post(multipart([upload]));
+      assert.equal(response.status, 415);
+      assert.equal(body.code, "attachment_type_not_allowed");
+      assert.equal(fetchMock.calls.length, 0);
+    });
+  }
+
+  it("rejects more than three files (400)", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "unused" }));
+    const files = [1, 2, 3, 4].map((n) => file(PNG, `${n}.png`, "image/png"));
+    const { response, body } = await post(multipart(files));
+    assert.equal(response.status, 400);
+    assert.equal(body.code, "too_many_attachments");
+  });
+
+  it("enforces CONTACT_ATTACHMENT_MAX_BYTES on the total size (413)", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "email_123" }));
+    const env = { ...ENV, CONTACT_ATTACHMENT_MAX_BYTES: "1000" };
+    const files = [file(PNG, "a.png", "image/png", 600), file(PDF, "b.pdf", "application/pdf", 600)];
+
+    const { response, body } = await post(multipart(files), env);
+    assert.equal(response.status, 413);
+    assert.equal(body.code, "attachments_too_large");
+    assert.match(body.error, /1000 B or less/);
+    assert.equal((await post(multipart(files.slice(0, 1)), env)).response.status, 200);
+  });
+
+  it("never allows more than 10 MB, whatever CONTACT_ATTACHMENT_MAX_BYTES says", async () => {
+    assert.equal(getAttachmentLimit({}), 5 * 1024 * 1024);
+    assert.equal(getAttachmentLimit({ CONTACT_ATTACHMENT_MAX_BYTES: "52428800" }), 10 * 1024 * 1024);
+
+    fetchMock = mockFetch(() => jsonResponse({ id: "unused" }));
+    const big = file(PDF, "big.pdf", "application/pdf", 10 * 1024 * 1024 + 1);
+    const { response, body } = await post(multipart([big]), { ...ENV, CONTACT_ATTACHMENT_MAX_BYTES: "52428800" });
+    assert.equal(response.status, 413);
+    assert.match(body.error, /10 MB or less/);
+  });
+});
+
+describe("listSubmissions", () => {
+  // 30 submissions, every fifth one failed
+  async function seededStore() {
+    const store = new MemoryKV();
+    for (let i = 0; i < 30; i++) {
+      const status = i % 5 === 0 ? "failed" : "delivered";
+      await store.put(`submission:${String(i).padStart(2, "0")}`, "{}", { metadata: { status } });
+    }
+    return store;
+  }
+
+  it("keeps reading until a status-filtered page is full", async () => {
+    const page = await listSubmissions(await seededStore(), { limit: 3, status: "failed" });
+    assert.deepEqual(page.items.map((item) => item.id), ["00", "05", "10"]);
+    assert.ok(page.cursor);
+
+    const rest = await listSubmissions(await seededStore(), { limit: 3, status: "failed", cursor: page.cursor });
+    assert.deepEqual(rest.items.map((item) => item.id), ["15", "20", "25"]);
+  });
+
+  it("never skips matches that do not fit on the page", async () => {
+    const store = await seededStore();
+    const ids = [];
+    let cursor;
+    do {
+      const page = await listSubmissions(store, { limit: 4, status: "failed", cursor });
+      assert.ok(page.items.length <= 4);
+      ids.push(...page.items.map((item) => item.id));
+      cursor = page.cursor;
+    } while (cursor);
+    assert.deepEqual(ids, ["00", "05", "10", "15", "20", "25"]);
+  });
+});
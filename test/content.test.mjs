@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+
+import { onRequestGet as getAll } from "../functions/api/content/index.js";
+import { onRequestGet as getOne } from "../functions/api/content/[name].js";
+import { validateSchema } from "../functions/_lib/schema.js";
+import { createContext } from "./helpers.mjs";
+
+const readJson = async (path) => JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), "utf8"));
+
+function get(handler, url, { headers, params } = {}) {
+  return handler(createContext({ method: "GET", url, headers, params }));
+}
+
+describe("content schema", () => {
+  for (const name of ["projects", "skills", "certifications", "knowledge"]) {
+    it(`accepts the shipped content/${name}.json`, async () => {
+      const errors = validateSchema(await readJson(`content/${name}.json`), await readJson(`content/schema/${name}.schema.json`));
+      assert.deepEqual(errors, []);
+    });
+  }
+
+  it("rejects malformed project entries with a path to each problem", async () => {
+    const schema = await readJson("content/schema/projects.schema.json");
+    const project = { slug: "demo-app", title: "Demo app", description: "A demo project entry.", tags: ["JS"], imageUrl: "https://x.io/a.png" };
+    const errors = validateSchema(
+      {
+        version: 1,
+        items: [
+          project,
+          { ...project, githubUrl: "https://gitlab.com/x", tags: ["JS", "JS"] },
+          { slug: "Broken App", title: "Broken", description: "Missing its tags.", imageUrl: "not a url", stars: 5 },
+        ],
+      },
+      schema,
+    );
+
+    assert.deepEqual(errors, [
+      '$.items: items 0 and 1 have the same slug "demo-app"',
+      '$.items: items 0 and 1 have the same title "Demo app"',
+      "$.items[1].tags: item 1 is a duplicate",
+      "$.items[1].githubUrl: must match ^https://github\\.com/",
+      '$.items[2]: missing required property "tags"',
+      "$.items[2].slug: must match ^[a-z0-9]+(?:-[a-z0-9]+)*$",
+      "$.items[2].imageUrl: must be an http(s) URL",
+      '$.items[2]: unknown property "stars"',
+    ]);
+  });
+
+  it("checks a project's gallery images", async () => {
+    const schema = await readJson("content/schema/projects.schema.json");
+    const project = { slug: "demo-app", title: "Demo app", description: "A demo project entry.", tags: ["JS"], imageUrl: "https://x.io/a.png" };
+    const valid = { ...project, images: [{ url: "https://x.io/b.png", alt: "Settings page" }, { url: "https://x.io/c.png" }] };
+    assert.deepEqual(validateSchema({ version: 1, items: [valid] }, schema), []);
+
+    const errors = validateSchema({ version: 1, items: [{ ...project, images: [{ alt: "No URL" }, { url: "javascript:alert(1)" }] }] }, schema);
+    assert.deepEqual(errors, ['$.items[0].images[0]: missing required property "url"', "$.items[0].images[1].url: must be an http(s) URL"]);
+  });
+
+  it("rejects out-of-range skill levels and an unknown version", async () => {
+    const schema = await readJson("content/schema/skills.schema.json");
+    const errors = validateSchema(
+      { version: 2, items: [{ category: "Languages", skills: [{ name: "Java", icon: "devicon-java-plain", level: 120 }] }] },
+      schema,
+    );
+    assert.deepEqual(errors, ["$.version: must be 1", "$.items[0].skills[0].level: must be <= 100"]);
+  });
+});
+
+describe("GET /api/content", () => {
+  it("returns every collection with an ETag", async () => {
+    const response = await get(getAll, "https://drthummar.me/api/content");
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("ETag"), /^"[0-9a-f]{32}"$/);
+    assert.equal(body.version, 1);
+    assert.deepEqual(body.projects, (await readJson("content/projects.json")).items);
+    assert.ok(body.skills.length > 0);
+    assert.ok(body.certifications.length > 0);
+  });
+
+  it("answers a matching If-None-Match with 304 and no body", async () => {
+    const first = await get(getAll, "https://drthummar.me/api/content");
+    const etag = first.headers.get("ETag");
+
+    const second = await get(getAll, "https://drthummar.me/api/content", { headers: { "If-None-Match": `W/${etag}` } });
+    assert.equal(second.status, 304);
+    assert.equal(second.headers.get("ETag"), etag);
+    assert.equal(await second.text(), "");
+
+    const stale = await get(getAll, "https://drthummar.me/api/content", { headers: { "If-None-Match": '"outdated"' } });
+    assert.equal(stale.status, 200);
+  });
+
+  it("serves one collection by name", async () => {
+    const response = await get(getOne, "https://drthummar.me/api/content/certifications", { params: { name: "certifications" } });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { version: 1, items: (await readJson("content/certifications.json")).items });
+  });
+
+  it("returns 404 for an unknown collection", async () => {
+    const response = await get(getOne, "https://drthummar.me/api/content/secrets", { params: { name: "toString" } });
+    const body = await response.json();
+    assert.equal(response.status, 404);
+    assert.equal(body.code, "unknown_collection");
+  });
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { onRequest } from "../functions/api/_middleware.js";
+import { originMatches, resolveCorsOrigin } from "../functions/_lib/cors.js";
+import { createContext, jsonResponse } from "./helpers.mjs";
+
+const API_URL = "https://drthummar.me/api/contact";
+
+function run({ origin, env = {}, next = async () => jsonResponse({ ok: true }) } = {}) {
+  const context = createContext({ method: "GET", url: API_URL, headers: origin ? { origin } : {}, env });
+  context.next = next;
+  return onRequest(context);
+}
+
+describe("originMatches", () => {
+  it("matches exact origins case-insensitively", () => {
+    assert.equal(originMatches("https://drthummar.me", "https://DrThummar.me"), true);
+    assert.equal(originMatches("https://drthummar.me.evil.io", "https://drthummar.me"), false);
+    assert.equal(originMatches("http://drthummar.me", "https://drthummar.me"), false);
+  });
+
+  it("matches subdomain and port wildcards", () => {
+    assert.equal(originMatches("https://blog.drthummar.me", "https://*.drthummar.me"), true);
+    assert.equal(originMatches("https://a.b.drthummar.me", "https://*.drthummar.me"), true);
+    assert.equal(originMatches("https://drthummar.me", "https://*.drthummar.me"), false);
+    assert.equal(originMatches("https://evil-drthummar.me", "https://*.drthummar.me"), false);
+    assert.equal(originMatches("http://localhost:8788", "http://localhost:*"), true);
+    assert.equal(originMatches("http://localhost.evil.io", "http://localhost:*"), false);
+    assert.equal(originMatches("https://anything.example", "*"), true);
+  });
+});
+
+describe("resolveCorsOrigin", () => {
+  const request = (origin) => new Request(API_URL, { headers: origin ? { origin } : {} });
+
+  it("allows the site itself and localhost when CONTACT_ALLOWED_ORIGINS is unset", () => {
+    assert.deepEqual(resolveCorsOrigin(request("https://drthummar.me")), { origin: "https://drthummar.me", allowed: true });
+    assert.equal(resolveCorsOrigin(request("http://127.0.0.1:5500")).allowed, true);
+    assert.deepEqual(resolveCorsOrigin(request("https://evil.example")), { origin: null, allowed: false });
+  });
+
+  it("uses only the configured allow-list when set", () => {
+    const env = { CONTACT_ALLOWED_ORIGINS: "https://drthummar.me/, https://*.drthummar.dev" };
+    assert.equal(resolveCorsOrigin(request("https://drthummar.me"), env).allowed, true);
+    assert.equal(resolveCorsOrigin(request("https://preview.drthummar.dev"), env).allowed, true);
+    assert.equal(resolveCorsOrigin(request("http://localhost:8788"), env).allowed, false);
+  });
+
+  it("lets requests without an Origin through", () => {
+    assert.deepEqual(resolveCorsOrigin(request()), { origin: null, allowed: true });
+  });
+});
+
+describe("API middleware", () => {
+  it("echoes an allowed origin with Vary: Origin", async () => {
+    const response = await run({ origin: "https://drthummar.me" });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://drthummar.me");
+    assert.match(response.headers.get("Vary"), /Origin/);
+  });
+
+  it("rejects other origins with 403 origin_not_allowed before the route runs", async () => {
+    let called = false;
+    const response = await run({
+      origin: "https://evil.example",
+      next: async () => {
+        called = true;
+        return jsonResponse({ ok: true });
+      },
+    });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "origin_not_allowed");
+    assert.equal(response.headers.get("Vary"), "Origin");
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), null);
+    assert.equal(called, false);
+  });
+
+  it("keeps the route's own Vary values", async () => {
+    const response = await run({
+      origin: "https://drthummar.me",
+      next: async () => new Response("{}", { headers: { Vary: "Accept" } }),
+    });
+    assert.equal(response.headers.get("Vary"), "Accept, Origin");
+  });
+
+  it("adds Vary: Origin but no allow header for requests without an Origin", async () => {
+    const response = await run();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), null);
+    assert.match(response.headers.get("Vary"), /Origin/);
+  });
+});
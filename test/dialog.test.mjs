@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { SWIPE_MIN_DISTANCE, swipeStep, wrapIndex } from "../assets/js/dialog.js";
+
+describe("swipeStep", () => {
+  it("goes to the next item on a left swipe and the previous on a right swipe", () => {
+    assert.equal(swipeStep({ x: 300, y: 100 }, { x: 200, y: 110 }), 1);
+    assert.equal(swipeStep({ x: 100, y: 100 }, { x: 200, y: 90 }), -1);
+  });
+
+  it("ignores short and mostly vertical moves", () => {
+    assert.equal(swipeStep({ x: 100, y: 100 }, { x: 100 + SWIPE_MIN_DISTANCE - 1, y: 100 }), 0);
+    assert.equal(swipeStep({ x: 100, y: 100 }, { x: 180, y: 300 }), 0);
+  });
+});
+
+describe("wrapIndex", () => {
+  it("steps and wraps around at either end", () => {
+    assert.equal(wrapIndex(1, 3, 1), 2);
+    assert.equal(wrapIndex(2, 3, 1), 0);
+    assert.equal(wrapIndex(0, 3, -1), 2);
+  });
+
+  it("starts from the first item when the current one is not in the list", () => {
+    assert.equal(wrapIndex(-1, 3, 1), 0);
+  });
+
+  it("returns -1 for an empty list", () => {
+    assert.equal(wrapIndex(0, 0, 1), -1);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildSubmissionMessages, resolveEmailConfig } from "../functions/_lib/delivery.js";
+import { escapeHtml, htmlToText, render, renderEmail } from "../functions/_lib/email/index.js";
+
+const fields = {
+  cleanName: "Ravi Shah",
+  cleanEmail: "ravi@example.com",
+  cleanSubject: "Freelance & <b>project</b>",
+  cleanMessage: "Line one\nLine \"two\"",
+  meta: { clientIp: "198.51.100.4", userAgent: "Mozilla/5.0", referer: "https://drthummar.me/" },
+};
+
+describe("template engine", () => {
+  it("escapes HTML special characters", () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&#039;&amp;&#039;&lt;/a&gt;");
+    assert.equal(escapeHtml(undefined), "");
+  });
+
+  it("escapes values but leaves triple-stash values raw", () => {
+    assert.equal(render("{{v}}|{{{v}}}", { v: "<i>" }), "&lt;i&gt;|<i>");
+  });
+
+  it("never treats substituted text as template syntax", () => {
+    assert.equal(render("{{a}} {{b}}", { a: "{{b}}", b: "x" }), "&#123;&#123;b&#125;&#125; x");
+  });
+
+  it("supports partials, conditionals, loops and filters", () => {
+    const out = render(
+      "{{> head}}{{#if on}}yes{{else}}no{{/if}}:{{#each items}}[{{.}}]{{/each}}:{{q | url}}",
+      { title: "T", on: false, items: ["a", "<b>"], q: "a b&c" },
+      { head: "<h1>{{title}}</h1>" },
+    );
+    assert.equal(out, "<h1>T</h1>no:[a][&lt;b&gt;]:a%20b%26c");
+  });
+
+  it("throws on unknown partials and templates", () => {
+    assert.throws(() => render("{{> missing}}"), /Unknown email partial/);
+    assert.throws(() => renderEmail("missing"), /Unknown email template/);
+  });
+
+  it("derives plain text from HTML", () => {
+    const text = htmlToText('<style>p{}</style><p>Hi &amp; bye</p><a href="mailto:a@b.c?subject=x">Reply</a>');
+    assert.equal(text, "Hi & bye\nReply (a@b.c)");
+  });
+});
+
+describe("buildSubmissionMessages", () => {
+  const config = resolveEmailConfig({ CONTACT_FROM: "contact@drthummar.me", CONTACT_TO: "owner@drthummar.me", CONTACT_CC: "a@x.io, b@x.io" });
+  const { owner, sender } = buildSubmissionMessages({ ...fields, config });
+
+  it("addresses the owner notification", () => {
+    assert.equal(owner.to, "owner@drthummar.me");
+    assert.deepEqual(owner.cc, ["a@x.io", "b@x.io"]);
+    assert.equal(owner.replyTo, "ravi@example.com");
+    assert.equal(owner.subject, "New Contact: Freelance & <b>project</b> — from Ravi Shah");
+  });
+
+  it("escapes every visitor field in the owner HTML", () => {
+    assert.ok(owner.html.includes("Freelance &amp; &lt;b&gt;project&lt;/b&gt;"));
+    assert.ok(owner.html.includes("Line &quot;two&quot;"));
+    assert.ok(!owner.html.includes("<b>project</b>"));
+    assert.ok(owner.html.includes("?subject=Re: Freelance%20%26%20%3Cb%3Eproject%3C%2Fb%3E"));
+  });
+
+  it("includes request details only in the owner email", () => {
+    assert.ok(owner.text.includes("IP Address: 198.51.100.4"));
+    assert.ok(!sender.text.includes("198.51.100.4"));
+  });
+
+  it("greets the visitor by first name and echoes their message", () => {
+    assert.equal(sender.to, "ravi@example.com");
+    assert.ok(sender.html.includes("<strong>Ravi</strong>"));
+    assert.ok(sender.text.includes('Line "two"'));
+  });
+
+  it("localizes the confirmation and falls back to English", () => {
+    const gu = buildSubmissionMessages({ ...fields, meta: { locale: "gu" }, config });
+    assert.match(gu.sender.subject, /^સંપર્ક કરવા બદલ આભાર!/);
+    assert.ok(gu.sender.html.includes('<html lang="gu">'));
+    assert.ok(gu.owner.html.includes('<html lang="en">'));
+
+    const fr = buildSubmissionMessages({ ...fields, meta: { locale: "fr-FR" }, config });
+    assert.match(fr.sender.subject, /^Thanks for connecting!/);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { onRequestGet } from "../functions/api/github/repos.js";
+import { getRepoStats, parseGitHubRepo } from "../functions/_lib/github.js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { createContext, githubFixture, jsonResponse, mockFetch } from "./helpers.mjs";
+
+const BUS_IQ = parseGitHubRepo("https://github.com/DhruvilThummar/BUS-IQ.git");
+const HOUR = 3600 * 1000;
+
+let fetchMock;
+
+afterEach(() => {
+  fetchMock?.restore();
+  fetchMock = undefined;
+});
+
+describe("parseGitHubRepo", () => {
+  it("reads owner and repo from repository URLs", () => {
+    assert.deepEqual(BUS_IQ, { owner: "DhruvilThummar", repo: "BUS-IQ", key: "dhruvilthummar/bus-iq" });
+    assert.equal(parseGitHubRepo("https://github.com/a/b/tree/main").key, "a/b");
+  });
+
+  it("ignores non-GitHub and incomplete URLs", () => {
+    assert.equal(parseGitHubRepo("https://gitlab.com/a/b"), null);
+    assert.equal(parseGitHubRepo("https://github.com/a"), null);
+    assert.equal(parseGitHubRepo("not a url"), null);
+  });
+});
+
+describe("getRepoStats", () => {
+  it("maps the API response and sends the token", async () => {
+    fetchMock = mockFetch(githubFixture);
+    const { stats, cached } = await getRepoStats(BUS_IQ, { GITHUB_CACHE: new MemoryKV(), GITHUB_TOKEN: "ghp_test" });
+
+    assert.equal(cached, false);
+    assert.deepEqual(stats, {
+      name: "DhruvilThummar/BUS-IQ",
+      url: "https://github.com/DhruvilThummar/BUS-IQ",
+      stars: 5,
+      forks: 2,
+      language: "JavaScript",
+      pushedAt: "2025-06-02T17:45:10Z",
+      topics: ["flask", "websockets", "dashboard"],
+      archived: false,
+    });
+    assert.equal(fetchMock.calls[0].url, "https://api.github.com/repos/DhruvilThummar/BUS-IQ");
+    assert.equal(fetchMock.calls[0].init.headers.Authorization, "Bearer ghp_test");
+  });
+
+  it("serves fresh entries from the cache without calling GitHub", async () => {
+    fetchMock = mockFetch(githubFixture);
+    const env = { GITHUB_CACHE: new MemoryKV(), GITHUB_CACHE_TTL: "3600" };
+    const now = Date.now();
+
+    await getRepoStats(BUS_IQ, env, { now });
+    const again = await getRepoStats(BUS_IQ, env, { now: now + HOUR - 1 });
+    assert.equal(again.cached, true);
+    assert.equal(fetchMock.calls.length, 1);
+
+    await getRepoStats(BUS_IQ, env, { now: now + HOUR });
+    assert.equal(fetchMock.calls.length, 2);
+  });
+
+  it("falls back to the stale copy when GitHub is rate limited", async () => {
+    const env = { GITHUB_CACHE: new MemoryKV() };
+    const now = Date.now();
+    fetchMock = mockFetch(githubFixture);
+    await getRepoStats(BUS_IQ, env, { now });
+    fetchMock.restore();
+
+    fetchMock = mockFetch(() => new Response(JSON.stringify({ message: "API rate limit exceeded" }), {
+      status: 403,
+      headers: { "x-ratelimit-remaining": "0" },
+    }));
+    const result = await getRepoStats(BUS_IQ, env, { now: now + 2 * HOUR });
+    assert.equal(result.stale, true);
+    assert.equal(result.stats.stars, 5);
+  });
+
+  it("reports the error when there is nothing cached", async () => {
+    fetchMock = mockFetch(githubFixture);
+    const result = await getRepoStats(parseGitHubRepo("https://github.com/DhruvilThummar/missing"), { GITHUB_CACHE: new MemoryKV() });
+    assert.equal(result.stats, null);
+    assert.equal(result.error, "Not Found");
+  });
+});
+
+describe("GET /api/github/repos", () => {
+  it("returns stats for every project repository", async () => {
+    fetchMock = mockFetch(githubFixture);
+    const response = await onRequestGet(createContext({ method: "GET", url: "https://drthummar.me/api/github/repos", env: { GITHUB_CACHE: new MemoryKV() } }));
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.ok, true);
+    assert.deepEqual(body.errors, {});
+    assert.equal(Object.keys(body.repos).length, 9);
+    assert.equal(body.repos["dhruvilthummar/script-converter-studio"].language, "TypeScript");
+    assert.ok(fetchMock.calls.every((c) => c.url.startsWith("https://api.github.com/repos/DhruvilThummar/")));
+  });
+
+  it("still answers 200 with partial results when some lookups fail", async () => {
+    fetchMock = mockFetch((url) => (url.endsWith("/BUS-IQ") ? jsonResponse({ message: "Server Error" }, 502) : githubFixture(url)));
+    const response = await onRequestGet(createContext({ method: "GET", url: "https://drthummar.me/api/github/repos", env: { GITHUB_CACHE: new MemoryKV() } }));
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.ok, false);
+    assert.deepEqual(body.errors, { "dhruvilthummar/bus-iq": "Server Error" });
+    assert.equal(Object.keys(body.repos).length, 8);
+  });
+});
@@ -0,0 +1,134 @@
+// ============================================
+// TEST HELPERS
+// ============================================
+// A fake Pages Functions `context` and a scriptable global fetch, so the
+// functions in functions/ can run under plain Node (`npm test`).
+
+import { readFileSync } from "node:fs";
+
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+
+export const RESEND_URL = "https://api.resend.com/emails";
+export const MAILCHANNELS_URL = "https://api.mailchannels.net/tx/v1/send";
+
+/**
+ * Replace globalThis.fetch with a scripted fake
+ * @param {Function} handler - (url, init, call) => Response | Promise<Response>
+ * @returns {{calls: Array<{url: String, init: Object, body: *}>, restore: Function}}
+ */
+export function mockFetch(handler) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input.url;
+    let body = init.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // keep raw text
+      }
+    }
+    const call = { url, init, body };
+    calls.push(call);
+    return handler(url, init, call);
+  };
+  return {
+    calls,
+    restore: () => {
+      globalThis.fetch = original;
+    },
+  };
+}
+
+/**
+ * JSON Response shortcut for fetch handlers
+ * @param {*} body
+ * @param {Number} status
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+}
+
+/**
+ * Fake Pages Functions context for a request
+ * @param {Object} options
+ * @param {String} options.method - HTTP method (default POST)
+ * @param {String} options.url - Request URL
+ * @param {*} options.body - Object (sent as JSON), FormData or string
+ * @param {Object} options.headers - Extra request headers
+ * @param {Object} options.env - Environment; fresh in-memory KV bindings are added
+ * @returns {{request: Request, env: Object, params: Object, waitUntil: Function, next: Function}}
+ */
+export function createContext({ method = "POST", url = "https://drthummar.me/api/contact", body, headers = {}, env = {}, params = {} } = {}) {
+  const init = { method, headers: { "cf-connecting-ip": "203.0.113.7", ...headers } };
+  if (body !== undefined) {
+    if (body instanceof FormData || typeof body === "string") {
+      init.body = body;
+    } else {
+      init.body = JSON.stringify(body);
+      init.headers["content-type"] = "application/json";
+    }
+  }
+
+  return {
+    request: new Request(url, init),
+    env: {
+      LOG_LEVEL: "error",
+      CONTACT_SUBMISSIONS: new MemoryKV(),
+      CONTACT_RATE_LIMIT: new MemoryKV(),
+      CHAT_RATE_LIMIT: new MemoryKV(),
+      ANALYTICS: new MemoryKV(),
+      ANALYTICS_RATE_LIMIT: new MemoryKV(),
+      ...env,
+    },
+    params,
+    waitUntil: () => {},
+    next: async () => new Response(null, { status: 404 }),
+  };
+}
+
+/**
+ * KV stand-in whose writes always fail (store outage)
+ * @returns {MemoryKV}
+ */
+export function brokenKV() {
+  const kv = new MemoryKV();
+  kv.put = async () => {
+    throw new Error("KV unavailable");
+  };
+  return kv;
+}
+
+/**
+ * A valid contact form body
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export function validSubmission(overrides = {}) {
+  return {
+    name: "Asha Patel",
+    email: "asha@example.com",
+    subject: "Internship opportunity",
+    message: "Hello Dhruvil, we would like to talk about an internship.",
+    ...overrides,
+  };
+}
+
+// Recorded GitHub API responses ("get a repository"), trimmed to the fields
+// the site reads, keyed by request path
+const GITHUB_FIXTURES = JSON.parse(readFileSync(new URL("./fixtures/github-api.json", import.meta.url), "utf8"));
+
+/**
+ * fetch handler standing in for api.github.com; unknown repositories get GitHub's 404
+ * @param {String} url
+ * @returns {Response}
+ */
+export function githubFixture(url) {
+  const { pathname } = new URL(url);
+  const fixture = GITHUB_FIXTURES[decodeURIComponent(pathname)];
+  return fixture
+    ? jsonResponse(fixture)
+    : jsonResponse({ message: "Not Found", documentation_url: "https://docs.github.com/rest/repos/repos#get-a-repository" }, 404);
+}
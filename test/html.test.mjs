@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { escapeHtml, html, renderMarkdown, safeUrl, sanitizeHtml, unsafeHtml } from "../assets/js/html.js";
+import { escapeHtml as serverEscapeHtml } from "../functions/_lib/email/template.js";
+
+const XSS = `<img src=x onerror="alert('x')">`;
+
+describe("escapeHtml", () => {
+  it("matches the functions' escaping", () => {
+    for (const value of [XSS, `a & b "c" 'd'`, null, 42]) assert.equal(escapeHtml(value), serverEscapeHtml(value));
+  });
+});
+
+describe("html", () => {
+  it("escapes interpolated values", () => {
+    assert.equal(String(html`<p title="${XSS}">${XSS}</p>`), `<p title="${escapeHtml(XSS)}">${escapeHtml(XSS)}</p>`);
+  });
+
+  it("nests html results and arrays without escaping them twice", () => {
+    const items = ["a<b", "c"].map((t) => html`<li>${t}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>`), "<ul><li>a&lt;b</li><li>c</li></ul>");
+    assert.equal(String(html`${unsafeHtml("<br>")}`), "<br>");
+  });
+
+  it("renders nothing for null, undefined and false, but keeps 0", () => {
+    assert.equal(String(html`${null}${undefined}${false}${0}`), "0");
+  });
+});
+
+describe("safeUrl", () => {
+  it("allows web, mail and in-page links", () => {
+    for (const url of ["https://github.com/x", "http://a.io", "mailto:a@b.co", "#contact", "/projects/bus-iq", "./x.png"]) {
+      assert.equal(safeUrl(url), url);
+    }
+  });
+
+  it("rejects script and data URLs, also when disguised", () => {
+    for (const url of ["javascript:alert(1)", " JavaScript:alert(1)", "java\tscript:alert(1)", "data:text/html,x", "//evil.example", "", null]) {
+      assert.equal(safeUrl(url), "");
+    }
+  });
+
+  it("rejects protocol-relative links, also written with a backslash", () => {
+    for (const url of ["//evil.example", "/\\evil.example", "/\\/evil.example"]) assert.equal(safeUrl(url), "");
+  });
+});
+
+describe("sanitizeHtml", () => {
+  it("drops tags and attributes outside the allow-list", () => {
+    assert.equal(sanitizeHtml(`<p onclick="x()">Hi ${XSS}<script>alert(1)</script></p>`), "<p>Hi </p>");
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), "<a>x</a>");
+    assert.equal(sanitizeHtml("1 < 2 > 0"), "1 &lt; 2 &gt; 0");
+  });
+
+  it("keeps safe links and opens external ones in a new tab", () => {
+    assert.equal(sanitizeHtml('<a href="#contact">form</a>'), '<a href="#contact">form</a>');
+    assert.equal(
+      sanitizeHtml("<A HREF='https://x.io/?a=1&amp;b=2'>x</A>"),
+      '<a href="https://x.io/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+  });
+});
+
+describe("renderMarkdown", () => {
+  it("renders paragraphs, bold and links", () => {
+    assert.equal(
+      String(renderMarkdown("Hi **there**\nline two\n\nSee [LinkedIn](https://linkedin.com/in/x) or the [form](#contact).")),
+      '<p>Hi <strong>there</strong><br>line two</p><p>See <a href="https://linkedin.com/in/x" target="_blank" rel="noopener noreferrer">LinkedIn</a> or the <a href="#contact">form</a>.</p>'
+    );
+  });
+
+  it("renders bullet and numbered lists", () => {
+    assert.equal(String(renderMarkdown("- Java\n- Python")), "<ul><li>Java</li><li>Python</li></ul>");
+    assert.equal(String(renderMarkdown("1. Plan\n2. Build")), "<ol><li>Plan</li><li>Build</li></ol>");
+  });
+
+  it("never lets markup or unsafe links through", () => {
+    assert.equal(String(renderMarkdown(XSS)), `<p>${escapeHtml(XSS)}</p>`);
+    assert.equal(String(renderMarkdown("[click](javascript:alert(1))")), "<p>click</p>");
+    assert.equal(String(renderMarkdown('[x](https://a.io/"onmouseover="alert(1))')), '<p><a href="https://a.io/&quot;onmouseover=&quot;alert(1)" target="_blank" rel="noopener noreferrer">x</a></p>');
+  });
+});
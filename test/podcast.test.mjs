@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+
+import { buildPodcastTimeline, findCurrentIndex, getResumePosition, RESUME_STORAGE_KEY, saveResumePosition } from "../assets/js/podcast.js";
+import { parseStorySections } from "../assets/js/site-knowledge.js";
+
+const story = await readFile(new URL("../assets/Story/story.txt", import.meta.url), "utf8");
+const sections = parseStorySections(story);
+
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+}
+
+describe("buildPodcastTimeline", () => {
+  it("has one chapter per story section, spread over the whole recording", () => {
+    const { chapters, lines } = buildPodcastTimeline(sections, 600);
+    assert.deepEqual(chapters.map((c) => c.title), sections.map((s) => s.title));
+    assert.equal(chapters[0].start, 0);
+    assert.equal(chapters.at(-1).end, 600);
+    chapters.slice(1).forEach((c, i) => assert.ok(c.start >= chapters[i].end - 0.01));
+    assert.ok(lines.every((l, i) => l.end > l.start && (i === 0 || l.start >= lines[i - 1].start)));
+  });
+
+  it("scales the same chapters to each recording's length", () => {
+    const short = buildPodcastTimeline(sections, 300);
+    const long = buildPodcastTimeline(sections, 900);
+    short.chapters.forEach((c, i) => assert.ok(Math.abs(long.chapters[i].start - c.start * 3) < 0.1));
+  });
+
+  it("joins wrapped sentences and keeps list items as lines", () => {
+    const { lines } = buildPodcastTimeline(
+      [{ title: "About Me", body: "Hey, I'm Dhruvil. A student who loves\nturning problems into solutions.\n\nWhat drives me:\n   → Solving problems\n   → Clean code" }],
+      60,
+    );
+    assert.deepEqual(lines.map((l) => l.text), [
+      "Hey, I'm Dhruvil.",
+      "A student who loves turning problems into solutions.",
+      "What drives me:",
+      "→ Solving problems",
+      "→ Clean code",
+    ]);
+  });
+
+  it("has no timings until the duration is known", () => {
+    const { chapters } = buildPodcastTimeline(sections, NaN);
+    assert.ok(chapters.every((c) => c.start === 0 && c.end === 0));
+  });
+});
+
+describe("findCurrentIndex", () => {
+  const items = [{ start: 0 }, { start: 10 }, { start: 25 }];
+
+  it("finds the last item started by a time", () => {
+    assert.deepEqual([0, 9.9, 10, 24, 25, 1000].map((t) => findCurrentIndex(items, t)), [0, 0, 1, 1, 2, 2]);
+    assert.equal(findCurrentIndex([], 5), -1);
+  });
+});
+
+describe("resume positions", () => {
+  it("are kept per language", () => {
+    const storage = createStorage();
+    saveResumePosition(storage, "en", 42.7, 600);
+    saveResumePosition(storage, "gu", 120, 700);
+    assert.equal(getResumePosition(storage, "en"), 42);
+    assert.equal(getResumePosition(storage, "gu"), 120);
+    assert.equal(getResumePosition(storage, "hi"), 0);
+  });
+
+  it("are forgotten near the start and the end", () => {
+    const storage = createStorage();
+    saveResumePosition(storage, "en", 300, 600);
+    saveResumePosition(storage, "en", 598, 600);
+    assert.equal(getResumePosition(storage, "en"), 0);
+    saveResumePosition(storage, "hi", 300, 600);
+    saveResumePosition(storage, "hi", 2, 600);
+    assert.equal(getResumePosition(storage, "hi"), 0);
+  });
+
+  it("survive corrupt or unavailable storage", () => {
+    assert.equal(getResumePosition(createStorage({ [RESUME_STORAGE_KEY]: "{not json" }), "en"), 0);
+    const full = { getItem: () => null, setItem: () => { throw new Error("QuotaExceededError"); } };
+    assert.doesNotThrow(() => saveResumePosition(full, "en", 100, 600));
+  });
+});
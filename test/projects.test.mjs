@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+
+import { onRequestGet } from "../functions/projects/[slug].js";
+import { applySocialMeta } from "../functions/_lib/social-meta.js";
+import { createContext } from "./helpers.mjs";
+
+const INDEX_HTML = await readFile(new URL("../index.html", import.meta.url), "utf8");
+
+function getProjectPage(slug) {
+  const context = createContext({ method: "GET", url: `https://drthummar.me/projects/${slug}`, params: { slug } });
+  context.env.ASSETS = { fetch: async () => new Response(INDEX_HTML, { headers: { "content-type": "text/html" } }) };
+  return onRequestGet(context);
+}
+
+const metaContent = (html, attr, key) => new RegExp(`<meta ${attr}="${key}" content="([^"]*)"`).exec(html)?.[1];
+
+describe("GET /projects/:slug", () => {
+  it("serves the page with that project's social tags", async () => {
+    const response = await getProjectPage("bus-iq");
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/html/);
+    assert.match(html, /<title>BUS-IQ Dashboard — Dhruvil Thummar<\/title>/);
+    assert.match(html, /<link rel="canonical" href="https:\/\/drthummar.me\/projects\/bus-iq" \/>/);
+    assert.equal(metaContent(html, "property", "og:url"), "https://drthummar.me/projects/bus-iq");
+    assert.equal(metaContent(html, "property", "og:type"), "article");
+    assert.equal(metaContent(html, "property", "og:image"), "https://placehold.co/600x400/000000/00F5D4?text=BUS-IQ+Dashboard");
+    assert.equal(metaContent(html, "name", "twitter:title"), "BUS-IQ Dashboard — Dhruvil Thummar");
+    assert.match(metaContent(html, "name", "description"), /^A real-time bus tracking dashboard/);
+    // The site image's fixed dimensions no longer apply
+    assert.equal(metaContent(html, "property", "og:image:width"), undefined);
+  });
+
+  it("escapes project text in attributes", async () => {
+    const html = applySocialMeta('<head><title>x</title><meta property="og:title" content="x" /></head>', {
+      title: `What's "in" <my> fridge`,
+      description: "d",
+      url: "https://drthummar.me/projects/a",
+      image: "https://x.io/a.png?a=1&b=2",
+      imageAlt: "alt",
+    });
+    assert.match(html, /<title>What&#039;s &quot;in&quot; &lt;my&gt; fridge<\/title>/);
+    assert.match(html, /og:title" content="What&#039;s &quot;in&quot; &lt;my&gt; fridge"/);
+    // Tags the page lacks are appended to <head>
+    assert.match(html, /<meta name="twitter:image" content="https:\/\/x.io\/a.png\?a=1&amp;b=2" \/>\n/);
+    assert.ok(html.endsWith('<meta name="twitter:image:alt" content="alt" />\n</head>'));
+  });
+
+  it("keeps $ patterns in project text literal", async () => {
+    const html = applySocialMeta(
+      '<head><title>x</title><link rel="canonical" href="https://drthummar.me/" /><meta name="description" content="x" /></head>',
+      { title: "Cut costs by $& 40%", description: "Saves $1 and $` per run", url: "https://drthummar.me/projects/$1", image: "", imageAlt: "" },
+    );
+    assert.match(html, /<title>Cut costs by \$&amp; 40%<\/title>/);
+    assert.match(html, /<link rel="canonical" href="https:\/\/drthummar.me\/projects\/\$1" \/>/);
+    assert.match(html, /<meta name="description" content="Saves \$1 and \$` per run" \/>/);
+    assert.match(html, /<meta name="twitter:title" content="Cut costs by \$&amp; 40%" \/>\n/);
+  });
+
+  it("redirects unknown slugs to the projects section", async () => {
+    const response = await getProjectPage("does-not-exist");
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get("location"), "https://drthummar.me/#projects");
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { onRequestPost } from "../functions/api/contact.js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { consumeRateLimit, DEFAULT_RATE_LIMITS, parseRateLimits } from "../functions/_lib/rate-limit.js";
+import { createContext, jsonResponse, mockFetch, validSubmission } from "./helpers.mjs";
+
+const IP = "ip:203.0.113.7";
+
+async function logKeys(store) {
+  const { keys } = await store.list({ prefix: "rl:" });
+  return keys.map((key) => key.name);
+}
+
+describe("parseRateLimits", () => {
+  it("reads count/window rules", () => {
+    assert.deepEqual(parseRateLimits("5/1h, 20/d,3/30s"), [
+      { limit: 5, windowSeconds: 3600 },
+      { limit: 20, windowSeconds: 86400 },
+      { limit: 3, windowSeconds: 30 },
+    ]);
+  });
+
+  it("uses the fallback when unset", () => {
+    assert.deepEqual(parseRateLimits(undefined), parseRateLimits(DEFAULT_RATE_LIMITS));
+    assert.deepEqual(parseRateLimits("", { fallback: "10/1m" }), [{ limit: 10, windowSeconds: 60 }]);
+  });
+
+  it("warns and uses the fallback when no rule is valid", () => {
+    const warnings = [];
+    const log = { warn: (msg, extra) => warnings.push({ msg, ...extra }) };
+    assert.deepEqual(parseRateLimits("5 per hour", { log }), parseRateLimits(DEFAULT_RATE_LIMITS));
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].rules, "5 per hour");
+  });
+});
+
+describe("consumeRateLimit", () => {
+  it("keys logs by an HMAC under the day's salt, not a plain hash of the IP", async () => {
+    const rules = parseRateLimits("5/1h");
+    const first = new MemoryKV();
+    const second = new MemoryKV();
+    await consumeRateLimit(first, [IP], { rules });
+    await consumeRateLimit(second, [IP], { rules });
+
+    const plain = `rl:${createHash("sha256").update(IP).digest("hex").slice(0, 32)}`;
+    const [key] = await logKeys(first);
+    assert.ok(key);
+    assert.notEqual(key, plain);
+    assert.ok(!key.includes("203.0.113.7"));
+    // Each store has its own random salt
+    assert.notDeepEqual(await logKeys(second), [key]);
+  });
+
+  it("keys logs by an HMAC under RATE_LIMIT_SECRET when it is set", async () => {
+    const rules = parseRateLimits("5/1h");
+    const first = new MemoryKV();
+    const second = new MemoryKV();
+    await consumeRateLimit(first, [IP], { rules, secret: "s3cret" });
+    await consumeRateLimit(second, [IP], { rules, secret: "s3cret" });
+
+    assert.deepEqual(await logKeys(first), await logKeys(second));
+    assert.equal((await first.list({ prefix: "salt:" })).keys.length, 0);
+  });
+
+  it("keeps counting across UTC midnight without counting yesterday twice", async () => {
+    const store = new MemoryKV();
+    const rules = parseRateLimits("4/1d");
+    const at = (time) => ({ rules, now: Date.parse(time) });
+
+    assert.equal((await consumeRateLimit(store, [IP], at("2026-03-01T23:30:00Z"))).allowed, true);
+    assert.equal((await consumeRateLimit(store, [IP], at("2026-03-01T23:50:00Z"))).allowed, true);
+    assert.equal((await consumeRateLimit(store, [IP], at("2026-03-02T00:10:00Z"))).allowed, true);
+    assert.equal((await consumeRateLimit(store, [IP], at("2026-03-02T00:20:00Z"))).allowed, true);
+    const blocked = await consumeRateLimit(store, [IP], at("2026-03-02T00:30:00Z"));
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.retryAfter, 23 * 3600);
+  });
+});
+
+describe("POST /api/contact — rate limits", () => {
+  async function send(context) {
+    const fetchMock = mockFetch(() => jsonResponse({ id: "email_123" }));
+    try {
+      const response = await onRequestPost(context);
+      return { response, body: await response.json() };
+    } finally {
+      fetchMock.restore();
+    }
+  }
+
+  function contactContext({ ip = "203.0.113.7", email = "asha@example.com", store }) {
+    return createContext({
+      body: validSubmission({ email }),
+      headers: { "cf-connecting-ip": ip },
+      env: {
+        RESEND_API_KEY: "re_test",
+        CONTACT_FROM: "contact@drthummar.me",
+        CONTACT_TO: "owner@drthummar.me",
+        CONTACT_RATE_LIMITS: "2/1h",
+        CONTACT_RATE_LIMIT: store,
+      },
+    });
+  }
+
+  it("answers 429 with Retry-After once an IP is over the limit", async () => {
+    const store = new MemoryKV();
+    for (const email of ["a@example.com", "b@example.com"]) {
+      assert.equal((await send(contactContext({ email, store }))).response.status, 200);
+    }
+    const { response, body } = await send(contactContext({ email: "c@example.com", store }));
+
+    assert.equal(response.status, 429);
+    assert.equal(body.code, "rate_limited");
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    assert.ok(retryAfter > 3500 && retryAfter <= 3600);
+    assert.equal(body.retryAfter, retryAfter);
+    assert.match(body.error, /Please wait 60 minutes/);
+  });
+
+  it("limits each submitter email across IPs", async () => {
+    const store = new MemoryKV();
+    for (const ip of ["198.51.100.1", "198.51.100.2"]) {
+      assert.equal((await send(contactContext({ ip, store }))).response.status, 200);
+    }
+    assert.equal((await send(contactContext({ ip: "198.51.100.3", store }))).response.status, 429);
+    assert.equal((await send(contactContext({ ip: "198.51.100.3", email: "other@example.com", store }))).response.status, 200);
+  });
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { onRequestPost } from "../functions/api/contact.js";
+import { MemoryKV } from "../functions/_lib/memory-kv.js";
+import { registerProvider, unregisterProvider } from "../functions/_lib/providers/index.js";
+import { backoffDelay, drainRetryQueue, enqueueRetry, getRetryPolicy, listRetryEntries } from "../functions/_lib/retry-queue.js";
+import { getSubmission, saveSubmission } from "../functions/_lib/submissions.js";
+import { createContext, jsonResponse, mockFetch, validSubmission } from "./helpers.mjs";
+
+const NOW = Date.parse("2026-03-02T10:00:00Z");
+const MINUTE = 60 * 1000;
+
+// Stand-in provider whose answers the tests script through `outbox`
+const outbox = { ok: true, sent: [] };
+const ENV = {
+  LOG_LEVEL: "error",
+  CONTACT_PROVIDERS: "stub",
+  CONTACT_FROM: "contact@drthummar.me",
+  CONTACT_TO: "owner@drthummar.me",
+  CONTACT_RETRY_MAX_ATTEMPTS: "3",
+  CONTACT_RETRY_BASE_SECONDS: "60",
+};
+
+before(() => {
+  registerProvider("stub", () => ({
+    name: "stub",
+    isConfigured: () => true,
+    send: async (message) => {
+      outbox.sent.push(message);
+      return outbox.ok ? { ok: true, provider: "stub", id: "stub-1" } : { ok: false, provider: "stub", error: "stub down" };
+    },
+  }));
+});
+
+after(() => unregisterProvider("stub"));
+
+async function queuedSubmission(store, { now = NOW } = {}) {
+  const { name, email, subject, message } = validSubmission();
+  const submission = await saveSubmission(store, { name, email, subject, message });
+  await enqueueRetry(store, submission.id, { error: "Resend down", env: ENV, now });
+  return submission;
+}
+
+function drain(store, options = {}) {
+  outbox.sent = [];
+  return drainRetryQueue(store, { env: ENV, now: NOW + MINUTE, ...options });
+}
+
+describe("backoffDelay", () => {
+  it("doubles from the base delay and stops at 6 hours", () => {
+    const policy = getRetryPolicy(ENV);
+    assert.deepEqual([1, 2, 3, 4].map((n) => backoffDelay(n, policy) / 1000), [60, 120, 240, 480]);
+    assert.equal(backoffDelay(20, policy), 6 * 60 * 60 * 1000);
+  });
+});
+
+describe("drainRetryQueue", () => {
+  it("leaves entries alone until they are due", async () => {
+    const store = new MemoryKV();
+    await queuedSubmission(store);
+    const summary = await drain(store, { now: NOW + MINUTE - 1 });
+    assert.equal(summary.processed, 0);
+    assert.equal(outbox.sent.length, 0);
+  });
+
+  it("delivers a due entry and marks the submission delivered", async () => {
+    const store = new MemoryKV();
+    const { id } = await queuedSubmission(store);
+    outbox.ok = true;
+    const summary = await drain(store);
+
+    assert.deepEqual(summary, { processed: 1, delivered: 1, rescheduled: 0, deadLettered: 0, failed: 0 });
+    assert.deepEqual(await listRetryEntries(store), []);
+    const stored = await getSubmission(store, id);
+    assert.equal(stored.status, "delivered");
+    assert.equal(stored.delivery.attempts, 2);
+  });
+
+  it("reschedules a failed attempt with a doubled delay", async () => {
+    const store = new MemoryKV();
+    const { id } = await queuedSubmission(store);
+    outbox.ok = false;
+    const summary = await drain(store);
+
+    assert.equal(summary.rescheduled, 1);
+    const [entry] = await listRetryEntries(store);
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.lastError, "stub down");
+    assert.equal(Date.parse(entry.nextAttemptAt), NOW + MINUTE + 2 * MINUTE);
+    assert.equal((await getSubmission(store, id)).status, "queued");
+  });
+
+  it("moves an entry to the dead letters after CONTACT_RETRY_MAX_ATTEMPTS", async () => {
+    const store = new MemoryKV();
+    const { id } = await queuedSubmission(store);
+    outbox.ok = false;
+    await drain(store);
+    const summary = await drain(store, { now: NOW + 10 * MINUTE });
+
+    assert.equal(summary.deadLettered, 1);
+    assert.deepEqual(await listRetryEntries(store, "pending"), []);
+    const [dead] = await listRetryEntries(store, "dead");
+    assert.equal(dead.attempts, 3);
+    assert.ok(dead.deadLetteredAt);
+    const stored = await getSubmission(store, id);
+    assert.equal(stored.status, "failed");
+    assert.equal(stored.delivery.deadLettered, true);
+  });
+
+  it("drops entries whose submission no longer exists", async () => {
+    const store = new MemoryKV();
+    await enqueueRetry(store, "gone", { env: ENV, now: NOW });
+    const summary = await drain(store);
+
+    assert.equal(summary.processed, 1);
+    assert.equal(summary.delivered + summary.rescheduled + summary.failed, 0);
+    assert.deepEqual(await listRetryEntries(store), []);
+    assert.equal(outbox.sent.length, 0);
+  });
+
+  it("keeps draining when one entry throws", async () => {
+    const store = new MemoryKV();
+    const first = await queuedSubmission(store);
+    const second = await queuedSubmission(store);
+    const get = store.get.bind(store);
+    store.get = async (key, options) => {
+      if (key === `submission:${first.id}`) throw new Error("KV read failed");
+      return get(key, options);
+    };
+    outbox.ok = true;
+    const summary = await drain(store);
+
+    assert.deepEqual(summary, { processed: 2, delivered: 1, rescheduled: 0, deadLettered: 0, failed: 1 });
+    assert.equal((await getSubmission(store, second.id)).status, "delivered");
+  });
+});
+
+describe("POST /api/contact — retry queue", () => {
+  async function postFailing(env) {
+    const fetchMock = mockFetch(() => jsonResponse({ message: "down" }, 500));
+    const context = createContext({ body: validSubmission(), env: { ...ENV, CONTACT_PROVIDERS: "resend", RESEND_API_KEY: "re_test", ...env } });
+    const response = await onRequestPost(context).finally(fetchMock.restore);
+    return { response, store: context.env.CONTACT_SUBMISSIONS };
+  }
+
+  it("queues a retry and answers 202 when CONTACT_SUBMISSIONS is bound", async () => {
+    const { response, store } = await postFailing({});
+    assert.equal(response.status, 202);
+    const [entry] = await listRetryEntries(store);
+    assert.equal(entry.attempts, 1);
+  });
+
+  it("queues nothing and answers 502 when CONTACT_SUBMISSIONS is not bound", async () => {
+    const { response } = await postFailing({ CONTACT_SUBMISSIONS: undefined });
+    assert.equal(response.status, 502);
+  });
+});
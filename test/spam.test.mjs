@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { onRequestPost } from "../functions/api/contact.js";
+import { checkSubmission, issueFormToken, scoreContent, verifyFormToken } from "../functions/_lib/spam.js";
+import { createContext, jsonResponse, mockFetch, validSubmission } from "./helpers.mjs";
+
+const SECRET = "form-secret";
+const VERIFY_URL = "https://turnstile.test/siteverify";
+const NOW = Date.parse("2026-03-02T10:00:00Z");
+
+let fetchMock;
+
+afterEach(() => {
+  fetchMock?.restore();
+  fetchMock = undefined;
+});
+
+function check(body, env = {}, now = NOW) {
+  return checkSubmission({ body: validSubmission(body), env: { LOG_LEVEL: "error", ...env }, now });
+}
+
+describe("spam — honeypot", () => {
+  it("rejects a filled-in website field", async () => {
+    assert.equal((await check({ website: "https://spam.example" }))?.code, "honeypot_triggered");
+  });
+
+  it("accepts an empty website field", async () => {
+    assert.equal(await check({ website: "  " }), null);
+  });
+
+  it("makes the contact route answer 400 without sending anything", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ id: "unused" }));
+    const response = await onRequestPost(createContext({ body: validSubmission({ website: "x" }) }));
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(body.code, "honeypot_triggered");
+    assert.equal(fetchMock.calls.length, 0);
+  });
+});
+
+describe("spam — form token", () => {
+  const env = { CONTACT_FORM_SECRET: SECRET };
+
+  it("accepts a token issued long enough ago", async () => {
+    const formToken = await issueFormToken(SECRET, NOW - 10_000);
+    assert.equal(await check({ formToken }, env), null);
+  });
+
+  it("rejects a missing token", async () => {
+    assert.equal((await check({}, env))?.code, "form_token_missing");
+  });
+
+  it("rejects a form submitted faster than CONTACT_MIN_SUBMIT_SECONDS", async () => {
+    const formToken = await issueFormToken(SECRET, NOW - 1000);
+    assert.equal((await check({ formToken }, env))?.code, "submitted_too_fast");
+    assert.equal(await check({ formToken }, { ...env, CONTACT_MIN_SUBMIT_SECONDS: "0" }), null);
+  });
+
+  it("rejects a token older than a day", async () => {
+    const token = await issueFormToken(SECRET, NOW - 25 * 60 * 60 * 1000);
+    assert.equal((await verifyFormToken(token, SECRET, { now: NOW }))?.code, "form_token_expired");
+  });
+
+  it("rejects a tampered issue time or signature, or another secret", async () => {
+    const token = await issueFormToken(SECRET, NOW - 10_000);
+    const [issuedAt, signature] = token.split(".");
+    const cases = [
+      `${Number(issuedAt) - 60_000}.${signature}`,
+      `${issuedAt}.${signature.slice(0, -2)}AA`,
+      `${issuedAt}.`,
+      "not-a-token",
+    ];
+    for (const tampered of cases) {
+      assert.equal((await verifyFormToken(tampered, SECRET, { now: NOW }))?.code, "form_token_invalid", tampered);
+    }
+    assert.equal((await verifyFormToken(token, "other-secret", { now: NOW }))?.code, "form_token_invalid");
+  });
+});
+
+describe("spam — Turnstile", () => {
+  const env = { TURNSTILE_SECRET_KEY: "ts-secret", TURNSTILE_VERIFY_URL: VERIFY_URL };
+
+  it("sends the token, secret and client IP to TURNSTILE_VERIFY_URL", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ success: true }));
+    const request = new Request("https://drthummar.me/api/contact", { headers: { "cf-connecting-ip": "203.0.113.7" } });
+    const rejection = await checkSubmission({ body: validSubmission({ turnstileToken: "tok" }), request, env: { LOG_LEVEL: "error", ...env } });
+
+    assert.equal(rejection, null);
+    assert.equal(fetchMock.calls[0].url, VERIFY_URL);
+    const form = fetchMock.calls[0].init.body;
+    assert.equal(form.get("secret"), "ts-secret");
+    assert.equal(form.get("response"), "tok");
+    assert.equal(form.get("remoteip"), "203.0.113.7");
+  });
+
+  it("rejects a missing token without calling the endpoint", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ success: true }));
+    assert.equal((await check({}, env))?.code, "turnstile_missing");
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  it("answers 403 when verification fails", async () => {
+    fetchMock = mockFetch(() => jsonResponse({ success: false, "error-codes": ["invalid-input-response"] }));
+    const rejection = await check({ turnstileToken: "tok" }, env);
+    assert.equal(rejection.code, "turnstile_failed");
+    assert.equal(rejection.status, 403);
+  });
+
+  it("answers 503 when the endpoint cannot be reached", async () => {
+    fetchMock = mockFetch(() => {
+      throw new TypeError("fetch failed");
+    });
+    const rejection = await check({ turnstileToken: "tok" }, env);
+    assert.equal(rejection.code, "turnstile_unavailable");
+    assert.equal(rejection.status, 503);
+  });
+});
+
+describe("spam — content score", () => {
+  it("scores links, link markup, keywords and shouting", () => {
+    assert.deepEqual(scoreContent(validSubmission()), { score: 0, reasons: [] });
+    assert.equal(scoreContent({ message: "see https://a.example and www.b.example" }).score, 4);
+    assert.equal(scoreContent({ message: '<a href="x">cheap</a>' }).score, 5);
+    assert.deepEqual(scoreContent({ message: "Best casino bonus, earn $500 today" }).reasons, ["keywords: casino/earn $"]);
+    assert.ok(scoreContent({ message: "PLEASE READ THIS MESSAGE RIGHT NOW" }).reasons.includes("mostly uppercase"));
+  });
+
+  it("matches keywords as whole words only", () => {
+    const { score } = scoreContent({ message: "I write about adulthood and the casinoesque architecture of Forexample Street." });
+    assert.equal(score, 0);
+    assert.equal(scoreContent({ message: "Adult content, click here" }).score, 4);
+  });
+
+  it("rejects at CONTACT_SPAM_THRESHOLD and accepts below it", async () => {
+    const message = "Try our SEO services and get backlinks for your site.";
+    assert.equal(scoreContent({ message }).score, 4);
+    assert.equal(await check({ message }), null);
+    assert.equal((await check({ message }, { CONTACT_SPAM_THRESHOLD: "4" }))?.code, "content_flagged");
+  });
+});